@@ -0,0 +1,782 @@
+/**
+ * @fileoverview Scope analysis for the ESTree AST which is produced from TypeScript code.
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+/*
+ * eslint-scope is extended through its internal API, which is prefixed with
+ * underscores, and visitors name their methods after the node types they handle
+ */
+/* eslint-disable no-underscore-dangle, new-cap, class-methods-use-this */
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const evk = require("eslint-visitor-keys"),
+    OriginalPatternVisitor = require("eslint-scope/lib/pattern-visitor"),
+    OriginalReferencer = require("eslint-scope/lib/referencer"),
+    OriginalScopeManager = require("eslint-scope/lib/scope-manager"),
+    Reference = require("eslint-scope/lib/reference"),
+    Scope = require("eslint-scope/lib/scope").Scope,
+    Variable = require("eslint-scope/lib/variable"),
+    definition = require("eslint-scope/lib/definition"),
+    AST_NODE_TYPES = require("./ast-node-types"),
+    visitorKeys = require("./visitor-keys");
+
+const Definition = definition.Definition,
+    ParameterDefinition = definition.ParameterDefinition;
+
+/**
+ * The types of the definitions of TypeScript declarations, in addition to the
+ * ones which eslint-scope provides on Variable
+ */
+const DEFINITION_TYPES = {
+    EnumMemberName: "EnumMemberName",
+    EnumName: "EnumName",
+    NamespaceName: "NamespaceName",
+    TypeName: "TypeName",
+    TypeParameter: "TypeParameter"
+};
+
+/**
+ * Functions which declare the signature of a function that is implemented
+ * elsewhere, e.g. `declare function foo(): void;`
+ */
+const FUNCTION_SIGNATURE_TYPES = new Set([
+    AST_NODE_TYPES.DeclareFunction,
+    "TSEmptyBodyDeclareFunction"
+]);
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the identifier which an entity name or property access starts with,
+ * e.g. `a` for `a.b.c`
+ * @param {ESTreeNode} node an Identifier, TSQualifiedName or MemberExpression
+ * @returns {ESTreeNode|null} the identifier, or null when there is none
+ */
+function getLeftmostIdentifier(node) {
+    while (node) {
+        switch (node.type) {
+            case AST_NODE_TYPES.Identifier:
+                return node;
+            case AST_NODE_TYPES.TSQualifiedName:
+                node = node.left;
+                break;
+            case AST_NODE_TYPES.MemberExpression:
+                node = node.object;
+                break;
+            default:
+                return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Adds a resolved reference from a type to the given variable. It is only
+ * recorded on the variable, so that rules which check the references of each
+ * scope, such as no-use-before-define, do not report types
+ * @param {Variable} variable the variable which is referenced
+ * @param {ESTreeNode} identifier the referencing identifier
+ * @param {Scope} scope the scope which the reference is made from
+ * @returns {void}
+ */
+function addTypeReference(variable, identifier, scope) {
+    const reference = new Reference(identifier, scope, Reference.READ, null, false, false, false);
+
+    reference.resolved = variable;
+    reference.isTypeReference = true;
+    variable.references.push(reference);
+}
+
+/**
+ * Defines a type-space variable, which is kept apart from the value-space
+ * variables of the scope
+ * @param {Scope} scope the scope which declares the variable
+ * @param {Map} set the names of the type variables to add the variable to
+ * @param {string} name the name of the variable
+ * @param {ESTreeNode} node the node which declares the name
+ * @param {Definition} def the definition of the variable
+ * @returns {void}
+ */
+function defineTypeVariable(scope, set, name, node, def) {
+    let variable = set.get(name);
+
+    if (!variable) {
+        variable = new Variable(name, scope);
+        set.set(name, variable);
+        scope.typeVariables.push(variable);
+    }
+    variable.identifiers.push(node);
+    variable.defs.push(def);
+    scope.__addDeclaredVariablesOfNode(variable, def.node);
+    scope.__addDeclaredVariablesOfNode(variable, def.parent);
+}
+
+//------------------------------------------------------------------------------
+// Scope analysis
+//------------------------------------------------------------------------------
+
+/**
+ * Gives every scope a `typeVariables` array and a `typeSet` map for its
+ * type-space variables, alongside the `variables` and `set` of its value-space ones
+ */
+class ScopeManager extends OriginalScopeManager {
+    __nestScope(scope) {
+        scope.typeVariables = [];
+        scope.typeSet = new Map();
+        return super.__nestScope(scope);
+    }
+}
+
+/**
+ * Collects the names declared by a pattern, queueing its type annotation and
+ * decorators to be visited along with default values and computed keys
+ */
+class PatternVisitor extends OriginalPatternVisitor {
+
+    /**
+     * Queues the type annotation and decorators of a pattern
+     * @param {ESTreeNode} pattern the pattern
+     * @returns {void}
+     */
+    visitTypeAnnotationAndDecorators(pattern) {
+        if (pattern.typeAnnotation) {
+            this.rightHandNodes.push(pattern.typeAnnotation);
+        }
+        if (pattern.decorators) {
+            this.rightHandNodes.push.apply(this.rightHandNodes, pattern.decorators);
+        }
+    }
+
+    Identifier(pattern) {
+
+        // A `this` parameter only declares the type of `this` within the function
+        if (pattern.name !== "this" || pattern !== this.rootPattern) {
+            super.Identifier(pattern);
+        }
+        this.visitTypeAnnotationAndDecorators(pattern);
+    }
+
+    ObjectPattern(pattern) {
+        pattern.properties.forEach(property => this.visit(property));
+        this.visitTypeAnnotationAndDecorators(pattern);
+    }
+
+    ArrayPattern(pattern) {
+        super.ArrayPattern(pattern);
+        this.visitTypeAnnotationAndDecorators(pattern);
+    }
+
+    AssignmentPattern(pattern) {
+        super.AssignmentPattern(pattern);
+        this.visitTypeAnnotationAndDecorators(pattern);
+    }
+
+    RestElement(pattern) {
+        super.RestElement(pattern);
+        this.visitTypeAnnotationAndDecorators(pattern);
+    }
+
+    TSParameterProperty(pattern) {
+        this.visit(pattern.parameter);
+        this.visitTypeAnnotationAndDecorators(pattern);
+    }
+}
+
+/**
+ * Declares and references variables, keeping the names which are declared and
+ * referenced as types apart from the names of values.
+ *
+ * References from types are resolved once the whole AST has been visited,
+ * because types can be used before they are declared. References which cannot
+ * be resolved, such as the types from the TypeScript libraries, are ignored.
+ */
+class Referencer extends OriginalReferencer {
+    constructor(options, scopeManager) {
+        super(options, scopeManager);
+
+        /**
+         * Whether the nodes which are being visited are types, in which
+         * identifiers do not reference values
+         */
+        this.typeMode = false;
+
+        /**
+         * The type parameters which are declared by the types being visited,
+         * such as the generic signature of a function type
+         */
+        this.typeParameterScopes = [];
+
+        /**
+         * The type parameters which are declared by `infer` in the conditional
+         * types being visited
+         */
+        this.conditionalTypeScopes = [];
+
+        /**
+         * The references from types which are resolved after visiting the AST
+         */
+        this.typeReferences = [];
+    }
+
+    /**
+     * Resolves the references from types against the type-space and then the
+     * value-space variables of each scope in turn
+     * @returns {void}
+     */
+    resolveTypeReferences() {
+        this.typeReferences.forEach(typeReference => {
+            const name = typeReference.identifier.name;
+
+            for (let scope = typeReference.scope; scope; scope = scope.upper) {
+                const variable = scope.typeSet.get(name) || scope.set.get(name);
+
+                if (variable) {
+                    addTypeReference(variable, typeReference.identifier, typeReference.scope);
+                    return;
+                }
+            }
+        });
+    }
+
+    /**
+     * Records a reference from a type
+     * @param {ESTreeNode} node the entity name which is referenced
+     * @returns {void}
+     */
+    referenceType(node) {
+        const identifier = getLeftmostIdentifier(node);
+
+        if (!identifier) {
+            return;
+        }
+
+        for (let i = this.typeParameterScopes.length - 1; i >= 0; i--) {
+            const variable = this.typeParameterScopes[i].get(identifier.name);
+
+            if (variable) {
+                addTypeReference(variable, identifier, this.currentScope());
+                return;
+            }
+        }
+
+        this.typeReferences.push({ identifier, scope: this.currentScope() });
+    }
+
+    /**
+     * Checks whether a name refers to a type, rather than a value, in the current scope
+     * @param {string} name the name
+     * @returns {boolean} true if the name is only declared as a type
+     */
+    isTypeName(name) {
+        for (let scope = this.currentScope(); scope; scope = scope.upper) {
+            if (scope.set.has(name)) {
+                return false;
+            }
+            if (scope.typeSet.has(name)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Visits a node as a type
+     * @param {ESTreeNode} node the node
+     * @returns {void}
+     */
+    visitType(node) {
+        if (!node) {
+            return;
+        }
+        const previousTypeMode = this.typeMode;
+
+        this.typeMode = true;
+        this.visit(node);
+        this.typeMode = previousTypeMode;
+    }
+
+    /**
+     * Visits the children of a node as types
+     * @param {ESTreeNode} node the node
+     * @returns {void}
+     */
+    visitTypeChildren(node) {
+        const previousTypeMode = this.typeMode;
+
+        this.typeMode = true;
+        this.visitChildren(node);
+        this.typeMode = previousTypeMode;
+    }
+
+    /**
+     * Visits each of the given nodes, if there are any
+     * @param {ESTreeNode[]} [nodes] the nodes
+     * @returns {void}
+     */
+    visitAll(nodes) {
+        if (nodes) {
+            nodes.forEach(node => this.visit(node));
+        }
+    }
+
+    /**
+     * Declares type parameters, then visits their constraints and defaults,
+     * which can refer to any of them
+     * @param {ESTreeNode} [typeParameters] the TSTypeParameterDeclaration
+     * @param {Map} set the names of the type variables to add the type parameters to
+     * @returns {void}
+     */
+    declareTypeParameters(typeParameters, set) {
+        if (!typeParameters) {
+            return;
+        }
+        const scope = this.currentScope();
+
+        typeParameters.params.forEach(typeParameter => {
+            defineTypeVariable(scope, set, typeParameter.name, typeParameter,
+                new Definition(DEFINITION_TYPES.TypeParameter, typeParameter, typeParameter, typeParameters, null, null));
+        });
+        typeParameters.params.forEach(typeParameter => {
+            this.visitType(typeParameter.constraint);
+            this.visitType(typeParameter.default);
+        });
+    }
+
+    /**
+     * Runs the given visitor with the type parameters declared, only within
+     * the visitor, when the type parameters belong to a type rather than a scope
+     * @param {ESTreeNode} [typeParameters] the TSTypeParameterDeclaration
+     * @param {Function} visitor the function which visits the type
+     * @returns {void}
+     */
+    visitWithTypeParameters(typeParameters, visitor) {
+        const set = new Map();
+
+        this.typeParameterScopes.push(set);
+        this.declareTypeParameters(typeParameters, set);
+        visitor();
+        this.typeParameterScopes.pop();
+    }
+
+    visitChildren(node) {
+        if (
+            this.typeMode &&
+            node &&
+            node.typeParameters &&
+            node.typeParameters.type === AST_NODE_TYPES.TSTypeParameterDeclaration
+        ) {
+            this.visitWithTypeParameters(node.typeParameters, () => super.visitChildren(node));
+            return;
+        }
+        super.visitChildren(node);
+    }
+
+    visitPattern(node, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = { processRightHandNodes: false };
+        }
+
+        const visitor = new PatternVisitor(this.options, node, callback);
+
+        visitor.visit(node);
+
+        if (options.processRightHandNodes) {
+            visitor.rightHandNodes.forEach(rightHandNode => this.visit(rightHandNode));
+        }
+    }
+
+    visitFunction(node) {
+        const scope = this.currentScope();
+
+        // Signatures without a body only define the name of a function that is declared elsewhere
+        if (
+            (node.type === AST_NODE_TYPES.FunctionDeclaration && node.body) ||
+            (FUNCTION_SIGNATURE_TYPES.has(node.type) && node.id && !scope.set.has(node.id.name))
+        ) {
+            scope.__define(node.id, new Definition(Variable.FunctionName, node.id, node, null, null, null));
+        }
+
+        if (node.type === AST_NODE_TYPES.FunctionExpression && node.id) {
+            this.scopeManager.__nestFunctionExpressionNameScope(node);
+        }
+
+        this.scopeManager.__nestFunctionScope(node, this.isInnerMethodDefinition);
+
+        const functionScope = this.currentScope();
+
+        this.declareTypeParameters(node.typeParameters, functionScope.typeSet);
+
+        node.params.forEach((param, index) => {
+            this.visitPattern(param, { processRightHandNodes: true }, (pattern, info) => {
+
+                // The parameters of a signature can never be referenced
+                if (!node.body) {
+                    return;
+                }
+                functionScope.__define(pattern, new ParameterDefinition(pattern, node, index, info.rest));
+                this.referencingDefaultValue(pattern, info.assignments, null, true);
+
+                // A parameter property is also a property of the class, so it is always used
+                if (param.type === AST_NODE_TYPES.TSParameterProperty) {
+                    functionScope.set.get(pattern.name).eslintUsed = true;
+                }
+            });
+        });
+
+        this.visitType(node.returnType);
+
+        if (node.body) {
+
+            // Skip BlockStatement to prevent creating BlockStatement scope.
+            if (node.body.type === AST_NODE_TYPES.BlockStatement) {
+                this.visitChildren(node.body);
+            } else {
+                this.visit(node.body);
+            }
+        }
+
+        this.close(node);
+    }
+
+    visitClass(node) {
+        this.visitAll(node.decorators);
+
+        if (node.id && /Declaration$/.test(node.type)) {
+            this.currentScope().__define(node.id, new Definition(Variable.ClassName, node.id, node, null, null, null));
+        }
+
+        this.visit(node.superClass);
+
+        this.scopeManager.__nestClassScope(node);
+
+        const classScope = this.currentScope();
+
+        // Rules such as no-shadow only expect the inner name of a class declaration when its type is ClassDeclaration,
+        // so references to the name of an abstract class declaration resolve to the outer name
+        if (node.id && node.type !== "TSAbstractClassDeclaration") {
+            classScope.__define(node.id, new Definition(Variable.ClassName, node.id, node));
+        }
+
+        this.declareTypeParameters(node.typeParameters, classScope.typeSet);
+        this.visitType(node.superTypeParameters);
+        if (node.implements) {
+            node.implements.forEach(classImplements => this.visitType(classImplements));
+        }
+
+        this.visit(node.body);
+
+        this.close(node);
+    }
+
+    //--------------------------------------------------------------------------
+    // Values
+    //--------------------------------------------------------------------------
+
+    Identifier(node) {
+        if (!this.typeMode) {
+            super.Identifier(node);
+        }
+        this.visitType(node.typeAnnotation);
+    }
+
+    TSAsExpression(node) {
+        this.visit(node.expression);
+        this.visitType(node.typeAnnotation);
+    }
+
+    TSTypeAssertionExpression(node) {
+        this.TSAsExpression(node);
+    }
+
+    VariableDeclaration(node) {
+        if (node.kind !== "type") {
+            super.VariableDeclaration(node);
+            return;
+        }
+
+        const scope = this.currentScope();
+
+        node.declarations.forEach((declarator, index) => {
+            defineTypeVariable(scope, scope.typeSet, declarator.id.name, declarator.id,
+                new Definition(DEFINITION_TYPES.TypeName, declarator.id, declarator, node, index, node.kind));
+            this.visitWithTypeParameters(declarator.typeParameters, () => this.visitType(declarator.init));
+        });
+    }
+
+    TSTypeAliasDeclaration(node) {
+        const scope = this.currentScope();
+
+        defineTypeVariable(scope, scope.typeSet, node.id.name, node.id,
+            new Definition(DEFINITION_TYPES.TypeName, node.id, node, null, null, null));
+        this.visitWithTypeParameters(node.typeParameters, () => this.visitType(node.typeAnnotation));
+    }
+
+    ImportDeclaration(node) {
+        if (this.scopeManager.isModule()) {
+            super.ImportDeclaration(node);
+            return;
+        }
+
+        // Ambient module declarations can contain imports even when the file is not a module
+        node.specifiers.forEach(specifier => {
+            this.currentScope().__define(specifier.local,
+                new Definition(Variable.ImportBinding, specifier.local, specifier, node, null, null));
+        });
+    }
+
+    ExportSpecifier(node) {
+        const local = node.id || node.local;
+
+        if (this.isTypeName(local.name)) {
+            this.referenceType(local);
+        } else {
+            super.ExportSpecifier(node);
+        }
+    }
+
+    DeclareFunction(node) {
+        this.visitFunction(node);
+    }
+
+    TSEmptyBodyFunctionDeclaration(node) {
+        this.visitFunction(node);
+    }
+
+    TSEmptyBodyDeclareFunction(node) {
+        this.visitFunction(node);
+    }
+
+    TSEmptyBodyFunctionExpression(node) {
+        this.visitFunction(node);
+    }
+
+    TSAbstractClassDeclaration(node) {
+        this.visitClass(node);
+    }
+
+    TSAbstractClassExpression(node) {
+        this.visitClass(node);
+    }
+
+    ClassProperty(node) {
+        this.visitAll(node.decorators);
+        if (node.computed) {
+            this.visit(node.key);
+        }
+        this.visit(node.value);
+        this.visitType(node.typeAnnotation);
+    }
+
+    TSAbstractClassProperty(node) {
+        this.ClassProperty(node);
+    }
+
+    MethodDefinition(node) {
+        this.visitAll(node.decorators);
+        super.MethodDefinition(node);
+    }
+
+    TSAbstractMethodDefinition(node) {
+        this.MethodDefinition(node);
+    }
+
+    TSIndexSignature(node) {
+        this.visitTypeChildren(node);
+    }
+
+    TSEnumDeclaration(node) {
+        const scope = this.currentScope();
+
+        this.visitAll(node.decorators);
+
+        // Declarations of the same enum are merged together
+        if (!scope.set.has(node.id.name)) {
+            scope.__define(node.id, new Definition(DEFINITION_TYPES.EnumName, node.id, node, null, null, null));
+        }
+
+        // The members of an enum can be referenced by name in its initializers,
+        // and are properties of the enum, so they are always used
+        this.scopeManager.__nestScope(new Scope(this.scopeManager, "tsEnum", scope, node, false));
+        node.members.forEach(member => {
+            this.currentScope().__define(member.id, new Definition(DEFINITION_TYPES.EnumMemberName, member.id, member, node, null, null));
+        });
+        this.currentScope().variables.forEach(variable => {
+            variable.eslintUsed = true;
+        });
+        node.members.forEach(member => this.visit(member.initializer));
+        this.close(node);
+    }
+
+    TSModuleDeclaration(node) {
+        const scope = this.currentScope();
+        const id = getLeftmostIdentifier(node.id);
+
+        // Declarations of the same namespace are merged together, and neither
+        // global augmentations nor ambient modules with a string name declare a name
+        if (node.kind !== "global" && id && !scope.set.has(id.name)) {
+            scope.__define(id, new Definition(DEFINITION_TYPES.NamespaceName, id, node, null, null, null));
+        }
+
+        if (node.body) {
+            this.scopeManager.__nestScope(new Scope(this.scopeManager, "tsModule", scope, node, false));
+            this.visit(node.body);
+
+            // The inner names of `namespace A.B {}` are properties of the outer namespace
+            if (node.body.type === AST_NODE_TYPES.TSModuleDeclaration) {
+                this.currentScope().set.get(node.body.id.name).eslintUsed = true;
+            }
+            this.close(node);
+        }
+    }
+
+    TSImportEqualsDeclaration(node) {
+        this.currentScope().__define(node.id, new Definition(Variable.ImportBinding, node.id, node, null, null, null));
+
+        // `export import A = B.C` is not wrapped in an ExportNamedDeclaration, which would mark it as used
+        if (node.isExport) {
+            this.currentScope().set.get(node.id.name).eslintUsed = true;
+        }
+
+        if (node.moduleReference.type !== AST_NODE_TYPES.TSExternalModuleReference) {
+            this.currentScope().__referencing(getLeftmostIdentifier(node.moduleReference));
+        }
+    }
+
+    TSNamespaceExportDeclaration() {
+
+        // `export as namespace Foo` declares a global which is not visible to the file itself
+    }
+
+    //--------------------------------------------------------------------------
+    // Types
+    //--------------------------------------------------------------------------
+
+    TSTypeAnnotation(node) {
+        this.visitTypeChildren(node);
+    }
+
+    TSTypeParameterInstantiation(node) {
+        this.visitTypeChildren(node);
+    }
+
+    TSTypeParameterDeclaration() {
+
+        // Type parameters are declared by the node which they belong to
+    }
+
+    TSTypeReference(node) {
+        this.referenceType(node.typeName);
+        this.visitType(node.typeParameters);
+    }
+
+    TSInterfaceHeritage(node) {
+        this.referenceType(node.id);
+        this.visitType(node.typeParameters);
+    }
+
+    ClassImplements(node) {
+        this.TSInterfaceHeritage(node);
+    }
+
+    TSTypeQuery(node) {
+        const identifier = getLeftmostIdentifier(node.exprName);
+
+        // `typeof foo` refers to the value `foo`
+        if (identifier) {
+            this.currentScope().__referencing(identifier);
+        }
+    }
+
+    TSQualifiedName(node) {
+        this.visit(node.left);
+    }
+
+    TSInterfaceDeclaration(node) {
+        const scope = this.currentScope();
+
+        this.visitAll(node.decorators);
+
+        defineTypeVariable(scope, scope.typeSet, node.id.name, node.id,
+            new Definition(DEFINITION_TYPES.TypeName, node.id, node, null, null, null));
+
+        this.visitWithTypeParameters(node.typeParameters, () => {
+            node.heritage.forEach(heritage => this.visitType(heritage));
+            this.visitType(node.body);
+        });
+    }
+
+    TSMappedType(node) {
+        this.visitWithTypeParameters({ params: [node.typeParameter] }, () => this.visitType(node.typeAnnotation));
+    }
+
+    TSConditionalType(node) {
+
+        // Types which are inferred in the extends clause are only visible in the true branch
+        this.visitWithTypeParameters(null, () => {
+            this.conditionalTypeScopes.push(this.typeParameterScopes[this.typeParameterScopes.length - 1]);
+            this.visitType(node.checkType);
+            this.visitType(node.extendsType);
+            this.conditionalTypeScopes.pop();
+            this.visitType(node.trueType);
+        });
+        this.visitType(node.falseType);
+    }
+
+    TSInferType(node) {
+        const set = this.conditionalTypeScopes[this.conditionalTypeScopes.length - 1];
+        const typeParameter = node.typeParameter;
+
+        if (set) {
+            defineTypeVariable(this.currentScope(), set, typeParameter.name, typeParameter,
+                new Definition(DEFINITION_TYPES.TypeParameter, typeParameter, node, null, null, null));
+        }
+    }
+}
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+/**
+ * Analyzes the scopes of an AST which has been converted from TypeScript code,
+ * using the same options which ESLint uses for its default scope analysis
+ * @param {ESTreeNode} ast the Program node
+ * @param {Object} [parserOptions] the parser options
+ * @returns {ScopeManager} the scope manager
+ */
+module.exports = function analyzeScope(ast, parserOptions) {
+    parserOptions = parserOptions || {};
+
+    const ecmaFeatures = parserOptions.ecmaFeatures || {};
+    const options = {
+        optimistic: false,
+        directive: false,
+        ignoreEval: true,
+        nodejsScope: ecmaFeatures.globalReturn === true,
+        impliedStrict: ecmaFeatures.impliedStrict === true,
+        ecmaVersion: (parserOptions.ecmaVersion >= 6) ? parserOptions.ecmaVersion : 2018,
+        sourceType: parserOptions.sourceType || "script",
+        childVisitorKeys: visitorKeys,
+        fallback: evk.getKeys
+    };
+
+    const scopeManager = new ScopeManager(options);
+    const referencer = new Referencer(options, scopeManager);
+
+    referencer.visit(ast);
+    referencer.resolveTypeReferences();
+
+    return scopeManager;
+};
+
+module.exports.DEFINITION_TYPES = DEFINITION_TYPES;
@@ -12,7 +12,8 @@
 // Requirements
 //------------------------------------------------------------------------------
 
-const convert = require("./convert"),
+const ts = require("typescript"),
+    convert = require("./convert"),
     convertComments = require("./convert-comments").convertComments,
     nodeUtils = require("./node-utils");
 
@@ -22,11 +23,57 @@ const convert = require("./convert"),
 
 /**
  * Extends and formats a given error object
- * @param  {Object} error the error object
+ * @param  {Object} error the TypeScript diagnostic
  * @returns {Object}       converted error object
  */
 function convertError(error) {
-    return nodeUtils.createError(error.file, error.start, error.message || error.messageText);
+    const convertedError = nodeUtils.createError(
+        error.file,
+        error.start,
+        ts.flattenDiagnosticMessageText(error.messageText, "\n"),
+        error.start + error.length
+    );
+
+    /**
+     * The diagnostic code can be used to look up the error in the TypeScript
+     * documentation, where it is referred to as e.g. TS1005
+     */
+    convertedError.code = error.code;
+    convertedError.category = ts.DiagnosticCategory[error.category].toLowerCase();
+
+    return convertedError;
+}
+
+/**
+ * Removes the ranges from the given node and all of its descendants when they
+ * were not requested via the `range` option, and records the `source` option in
+ * each `loc`. Locs are only computed when they are requested, but the converter
+ * uses the ranges of the nodes it has converted to build their parents.
+ * @param  {Object} node  the ESTree node, token or comment
+ * @param  {Object} extra the parser configuration
+ * @returns {void}
+ */
+function fixLocationData(node, extra) {
+    if (!extra.range) {
+        delete node.range;
+    }
+    if (extra.source !== null && node.loc) {
+        node.loc.source = extra.source;
+    }
+
+    Object.keys(node).forEach(key => {
+        const child = node[key];
+
+        if (Array.isArray(child)) {
+            child.forEach(element => {
+                if (element && typeof element === "object") {
+                    fixLocationData(element, extra);
+                }
+            });
+        } else if (child && typeof child === "object") {
+            fixLocationData(child, extra);
+        }
+    });
 }
 
 //------------------------------------------------------------------------------
@@ -37,12 +84,28 @@ module.exports = (ast, extra) => {
 
     /**
      * The TypeScript compiler produced fundamental parse errors when parsing the
-     * source.
+     * source. In tolerant mode they are collected instead, and the AST is converted
+     * on a best-effort basis.
      */
-    if (ast.parseDiagnostics.length) {
+    if (ast.parseDiagnostics.length && !extra.tolerant) {
         throw convertError(ast.parseDiagnostics[0]);
     }
 
+    /**
+     * Optionally create the maps which will hold the relationships between
+     * TSNodes and ESTreeNodes
+     */
+    const astMaps = extra.shouldProvideParserServices ? {
+        esTreeNodeToTSNodeMap: new WeakMap(),
+        tsNodeToESTreeNodeMap: new WeakMap()
+    } : null;
+
+    /**
+     * In tolerant mode, the errors in code which TypeScript parses but which
+     * cannot be converted are collected instead of thrown
+     */
+    const conversionErrors = extra.tolerant ? [] : null;
+
     /**
      * Recursively convert the TypeScript AST into an ESTree-compatible AST
      */
@@ -52,8 +115,13 @@ module.exports = (ast, extra) => {
         ast,
         additionalOptions: {
             errorOnUnknownASTType: extra.errorOnUnknownASTType || false,
+            loc: extra.loc,
             useJSXTextNode: extra.useJSXTextNode || false,
-            parseForESLint: extra.parseForESLint
+            flattenModuleIds: extra.flattenModuleIds || false,
+            useTypeAliasDeclaration: extra.useTypeAliasDeclaration || false,
+            parseForESLint: extra.parseForESLint,
+            astMaps,
+            errors: conversionErrors
         }
     });
 
@@ -61,16 +129,32 @@ module.exports = (ast, extra) => {
      * Optionally convert and include all tokens in the AST
      */
     if (extra.tokens) {
-        estree.tokens = nodeUtils.convertTokens(ast);
+        estree.tokens = nodeUtils.convertTokens(ast, extra.loc);
     }
 
     /**
      * Optionally convert and include all comments in the AST
      */
     if (extra.comment) {
-        estree.comments = convertComments(ast, extra.code);
+        estree.comments = convertComments(ast, extra.code, extra.loc);
+    }
+
+    /**
+     * Only include the ranges which were asked for, and the source of the locs
+     */
+    if (!extra.range || (extra.loc && extra.source !== null)) {
+        fixLocationData(estree, extra);
+    }
+
+    /**
+     * Optionally include all of the parse errors in the AST
+     */
+    if (extra.tolerant) {
+        estree.errors = ast.parseDiagnostics.map(convertError)
+            .concat(conversionErrors)
+            .sort((a, b) => a.index - b.index);
     }
 
-    return estree;
+    return { estree, astMaps };
 
 };
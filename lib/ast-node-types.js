@@ -62,13 +62,16 @@ module.exports = {
     ImportSpecifier: "ImportSpecifier",
     JSXAttribute: "JSXAttribute",
     JSXClosingElement: "JSXClosingElement",
+    JSXClosingFragment: "JSXClosingFragment",
     JSXElement: "JSXElement",
     JSXEmptyExpression: "JSXEmptyExpression",
     JSXExpressionContainer: "JSXExpressionContainer",
+    JSXFragment: "JSXFragment",
     JSXIdentifier: "JSXIdentifier",
     JSXMemberExpression: "JSXMemberExpression",
     JSXNamespacedName: "JSXNamespacedName",
     JSXOpeningElement: "JSXOpeningElement",
+    JSXOpeningFragment: "JSXOpeningFragment",
     JSXSpreadAttribute: "JSXSpreadAttribute",
     JSXSpreadChild: "JSXSpreadChild",
     JSXText: "JSXText",
@@ -104,8 +107,10 @@ module.exports = {
     TSAbstractMethodDefinition: "TSAbstractMethodDefinition",
     TSAnyKeyword: "TSAnyKeyword",
     TSArrayType: "TSArrayType",
+    TSAsExpression: "TSAsExpression",
     TSAsyncKeyword: "TSAsyncKeyword",
     TSBooleanKeyword: "TSBooleanKeyword",
+    TSConditionalType: "TSConditionalType",
     TSConstructorType: "TSConstructorType",
     TSConstructSignature: "TSConstructSignature",
     TSDeclareKeyword: "TSDeclareKeyword",
@@ -113,20 +118,29 @@ module.exports = {
     TSEnumMember: "TSEnumMember",
     TSExportAssignment: "TSExportAssignment",
     TSExportKeyword: "TSExportKeyword",
+    TSExternalModuleReference: "TSExternalModuleReference",
+    TSImportEqualsDeclaration: "TSImportEqualsDeclaration",
+    TSIndexedAccessType: "TSIndexedAccessType",
     TSIndexSignature: "TSIndexSignature",
+    TSInferType: "TSInferType",
     TSInterfaceBody: "TSInterfaceBody",
     TSInterfaceDeclaration: "TSInterfaceDeclaration",
     TSInterfaceHeritage: "TSInterfaceHeritage",
+    TSIntersectionType: "TSIntersectionType",
     TSFunctionType: "TSFunctionType",
+    TSLiteralType: "TSLiteralType",
+    TSMappedType: "TSMappedType",
     TSMethodSignature: "TSMethodSignature",
     TSModuleBlock: "TSModuleBlock",
     TSModuleDeclaration: "TSModuleDeclaration",
+    TSNamespaceExportDeclaration: "TSNamespaceExportDeclaration",
     TSNamespaceFunctionDeclaration: "TSNamespaceFunctionDeclaration",
     TSNonNullExpression: "TSNonNullExpression",
     TSNeverKeyword: "TSNeverKeyword",
     TSNullKeyword: "TSNullKeyword",
     TSNumberKeyword: "TSNumberKeyword",
     TSObjectKeyword: "TSObjectKeyword",
+    TSOptionalType: "TSOptionalType",
     TSParameterProperty: "TSParameterProperty",
     TSPrivateKeyword: "TSPrivateKeyword",
     TSPropertySignature: "TSPropertySignature",
@@ -135,16 +149,22 @@ module.exports = {
     TSQualifiedName: "TSQualifiedName",
     TSQuestionToken: "TSQuestionToken",
     TSReadonlyKeyword: "TSReadonlyKeyword",
+    TSRestType: "TSRestType",
     TSStaticKeyword: "TSStaticKeyword",
     TSStringKeyword: "TSStringKeyword",
     TSSymbolKeyword: "TSSymbolKeyword",
+    TSThisType: "TSThisType",
+    TSTupleType: "TSTupleType",
+    TSTypeAliasDeclaration: "TSTypeAliasDeclaration",
     TSTypeAnnotation: "TSTypeAnnotation",
+    TSTypeAssertionExpression: "TSTypeAssertionExpression",
     TSTypeLiteral: "TSTypeLiteral",
     TSTypeOperator: "TSTypeOperator",
     TSTypeParameter: "TSTypeParameter",
     TSTypeParameterDeclaration: "TSTypeParameterDeclaration",
     TSTypeParameterInstantiation: "TSTypeParameterInstantiation",
     TSTypePredicate: "TSTypePredicate",
+    TSTypeQuery: "TSTypeQuery",
     TSTypeReference: "TSTypeReference",
     TSUnionType: "TSUnionType",
     TSUndefinedKeyword: "TSUndefinedKeyword",
@@ -54,10 +54,11 @@ function convertTypeScriptCommentToEsprimaComment(block, text, start, end, start
  * @param  {Object} triviaScanner TS Scanner
  * @param  {Object} ast the AST object
  * @param  {string} code TypeScript code
+ * @param  {boolean} includeLoc whether or not to include the line and column data
  * @returns {ESTreeComment}     the converted ESTreeComment
  * @private
  */
-function getCommentFromTriviaScanner(triviaScanner, ast, code) {
+function getCommentFromTriviaScanner(triviaScanner, ast, code, includeLoc) {
     const kind = triviaScanner.getToken();
     const isBlock = (kind === ts.SyntaxKind.MultiLineCommentTrivia);
     const range = {
@@ -68,7 +69,7 @@ function getCommentFromTriviaScanner(triviaScanner, ast, code) {
 
     const comment = code.substring(range.pos, range.end);
     const text = (isBlock) ? comment.replace(/^\/\*/, "").replace(/\*\/$/, "") : comment.replace(/^\/\//, "");
-    const loc = nodeUtils.getLocFor(range.pos, range.end, ast);
+    const loc = includeLoc ? nodeUtils.getLocFor(range.pos, range.end, ast) : {};
 
     const esprimaComment = convertTypeScriptCommentToEsprimaComment(isBlock, text, range.pos, range.end, loc.start, loc.end);
 
@@ -89,10 +90,11 @@ module.exports = {
  * Convert all comments for the given AST.
  * @param  {Object} ast the AST object
  * @param  {string} code the TypeScript code
+ * @param  {boolean} includeLoc whether or not to include the line and column data
  * @returns {ESTreeComment[]}     the converted ESTreeComment
  * @private
  */
-function convertComments(ast, code) {
+function convertComments(ast, code, includeLoc) {
     const comments = [];
 
     /**
@@ -110,7 +112,7 @@ function convertComments(ast, code) {
         switch (kind) {
             case ts.SyntaxKind.SingleLineCommentTrivia:
             case ts.SyntaxKind.MultiLineCommentTrivia: {
-                const comment = getCommentFromTriviaScanner(triviaScanner, ast, code);
+                const comment = getCommentFromTriviaScanner(triviaScanner, ast, code, includeLoc);
 
                 comments.push(comment);
                 break;
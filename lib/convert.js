@@ -33,6 +33,11 @@ const SyntaxKind = nodeUtils.SyntaxKind;
  * @param  {TSNode} config.ast the full TypeScript AST
  * @param  {Object} config.additionalOptions additional options for the conversion
  * @param  {Object} config.additionalOptions.errorOnUnknownASTType whether whether or not to throw an error if an unknown AST Node Type is encountered
+ * @param  {Object} config.additionalOptions.loc whether or not to compute the line and column data of each node
+ * @param  {Object} config.additionalOptions.flattenModuleIds whether or not to convert `namespace A.B {}` into a single declaration with a qualified name
+ * @param  {Object} config.additionalOptions.useTypeAliasDeclaration whether or not to convert type aliases into TSTypeAliasDeclaration nodes instead of VariableDeclaration nodes
+ * @param  {Object} config.additionalOptions.astMaps optional maps to be populated with the relationships between TSNodes and ESTreeNodes
+ * @param  {Object[]} config.additionalOptions.errors optional array to collect the errors in the code into, instead of throwing the first one
  * @returns {ESTreeNode}        the converted ESTreeNode
  */
 module.exports = function convert(config) {
@@ -49,14 +54,27 @@ module.exports = function convert(config) {
         return null;
     }
 
+    /**
+     * Sets the line and column data of the given ESTree node from its range, if it
+     * was asked for via the `loc` option. Otherwise it is never computed, and the
+     * node has no `loc` property.
+     * @param {ESTreeNode} esTreeNode the ESTree node
+     * @returns {ESTreeNode} the ESTree node
+     */
+    function addLoc(esTreeNode) {
+        if (additionalOptions.loc) {
+            esTreeNode.loc = nodeUtils.getLocFor(esTreeNode.range[0], esTreeNode.range[1], ast);
+        }
+        return esTreeNode;
+    }
+
     /**
      * Create a new ESTree node
      */
-    let result = {
+    let result = addLoc({
         type: "",
-        range: [node.getStart(), node.end],
-        loc: nodeUtils.getLoc(node, ast)
-    };
+        range: [node.getStart(ast), node.end]
+    });
 
     /**
      * Copies the result object into an ESTree node with just a type property.
@@ -84,6 +102,24 @@ module.exports = function convert(config) {
         functionNode.type = `TSEmptyBody${functionNode.type}`;
     }
 
+    /**
+     * Records the relationship between a TSNode and an ESTreeNode in the maps which
+     * are exposed via the parser services. ESTreeNodes which are created directly
+     * for a TSNode, instead of by converting it, need to be registered explicitly.
+     * When more than one ESTreeNode is created for the same TSNode, the TSNode maps
+     * to the last one, which is the outermost.
+     * @param {TSNode} tsNode the TSNode
+     * @param {ESTreeNode} esTreeNode the ESTreeNode
+     * @returns {ESTreeNode} the ESTreeNode
+     */
+    function registerNode(tsNode, esTreeNode) {
+        if (additionalOptions.astMaps) {
+            additionalOptions.astMaps.tsNodeToESTreeNodeMap.set(tsNode, esTreeNode);
+            additionalOptions.astMaps.esTreeNodeToTSNodeMap.set(esTreeNode, tsNode);
+        }
+        return esTreeNode;
+    }
+
     /**
      * Converts a TypeScript node into an ESTree node.
      * @param  {TSNode} child the child TSNode
@@ -102,13 +138,11 @@ module.exports = function convert(config) {
     function convertTypeAnnotation(child) {
         const annotation = convertChild(child);
         const annotationStartCol = child.getFullStart() - 1;
-        const loc = nodeUtils.getLocFor(annotationStartCol, child.end, ast);
-        return {
+        return addLoc({
             type: AST_NODE_TYPES.TSTypeAnnotation,
-            loc,
             range: [annotationStartCol, child.end],
             typeAnnotation: annotation
-        };
+        });
     }
 
     /**
@@ -133,41 +167,86 @@ module.exports = function convert(config) {
             if (typeArgumentsParent && (typeArgumentsParent.kind === SyntaxKind.CallExpression || typeArgumentsParent.kind === SyntaxKind.TypeReference)) {
                 const lastTypeArgument = typeArguments[typeArguments.length - 1];
                 const greaterThanToken = nodeUtils.findNextToken(lastTypeArgument, ast);
-                end = greaterThanToken.end;
+
+                // The ">" is missing from incomplete code, which is only converted in tolerant mode
+                end = greaterThanToken ? greaterThanToken.end : lastTypeArgument.end;
             }
         }
-        return {
+        return addLoc({
             type: AST_NODE_TYPES.TSTypeParameterInstantiation,
             range: [
                 start,
                 end
             ],
-            loc: nodeUtils.getLocFor(start, end, ast),
             params: typeArguments.map(typeArgument => {
                 if (nodeUtils.isTypeKeyword(typeArgument.kind)) {
-                    return {
+                    return registerNode(typeArgument, addLoc({
                         type: AST_NODE_TYPES[`TS${SyntaxKind[typeArgument.kind]}`],
                         range: [
                             typeArgument.getStart(),
                             typeArgument.getEnd()
-                        ],
-                        loc: nodeUtils.getLoc(typeArgument, ast)
-                    };
+                        ]
+                    }));
                 }
-                return {
+
+                // Type literals, unions, arrays and other types are converted as they are, instead of being
+                // wrapped in a TSTypeReference whose typeName is not a name
+                if (typeArgument.kind !== SyntaxKind.TypeReference) {
+                    return convertChild(typeArgument);
+                }
+                return registerNode(typeArgument, addLoc({
                     type: AST_NODE_TYPES.TSTypeReference,
                     range: [
                         typeArgument.getStart(),
                         typeArgument.getEnd()
                     ],
-                    loc: nodeUtils.getLoc(typeArgument, ast),
                     typeName: convertChild(typeArgument.typeName || typeArgument),
                     typeParameters: (typeArgument.typeArguments)
                         ? convertTypeArgumentsToTypeParameters(typeArgument.typeArguments)
                         : undefined
-                };
+                }));
             })
-        };
+        });
+    }
+
+    /**
+     * Converts a TypeScript TypeParameter into a TSTypeParameter node
+     * @param {TSNode} typeParameter TSNode TypeParameter
+     * @returns {TSTypeParameter} TSTypeParameter node
+     */
+    function convertTSTypeParameter(typeParameter) {
+        const name = typeParameter.name.text;
+
+        const constraint = typeParameter.constraint
+            ? convert({ node: typeParameter.constraint, parent: typeParameter, ast, additionalOptions })
+            : undefined;
+
+        const defaultParameter = typeParameter.default
+            ? convert({ node: typeParameter.default, parent: typeParameter, ast, additionalOptions })
+            : typeParameter.default;
+
+        return registerNode(typeParameter, addLoc({
+            type: AST_NODE_TYPES.TSTypeParameter,
+            range: [
+                typeParameter.getStart(),
+                typeParameter.getEnd()
+            ],
+            name,
+            constraint,
+            default: defaultParameter
+        }));
+    }
+
+    /**
+     * Returns the start of the opening brace of a class or interface body. The brace
+     * cannot be found in incomplete code, which is only converted in tolerant mode,
+     * so the body is then assumed to start where its members do.
+     * @param {TSToken|undefined} openBrace the opening brace token
+     * @param {TSNode[]} members the members of the class or interface
+     * @returns {number} the start of the opening brace
+     */
+    function getOpenBraceStart(openBrace, members) {
+        return openBrace ? openBrace.getStart(ast) : members.pos - 1;
     }
 
     /**
@@ -181,37 +260,63 @@ module.exports = function convert(config) {
 
         const greaterThanToken = nodeUtils.findNextToken(lastTypeParameter, ast);
 
-        return {
+        return addLoc({
             type: AST_NODE_TYPES.TSTypeParameterDeclaration,
             range: [
                 firstTypeParameter.pos - 1,
-                greaterThanToken.end
+                greaterThanToken ? greaterThanToken.end : lastTypeParameter.end
             ],
-            loc: nodeUtils.getLocFor(firstTypeParameter.pos - 1, greaterThanToken.end, ast),
-            params: typeParameters.map(typeParameter => {
-                const name = typeParameter.name.text;
+            params: typeParameters.map(convertTSTypeParameter)
+        });
+    }
 
-                const constraint = typeParameter.constraint
-                    ? convert({ node: typeParameter.constraint, parent: typeParameter, ast, additionalOptions })
-                    : undefined;
+    /**
+     * Converts an element type of a tuple type. Optional elements are represented as
+     * TSOptionalType nodes and rest elements as TSRestType nodes.
+     * @param {TSNode} elementType the element type
+     * @returns {ESTreeNode} the converted element type
+     */
+    function convertTupleElementType(elementType) {
+        let elementTypeNode = null;
 
-                const defaultParameter = typeParameter.default
-                    ? convert({ node: typeParameter.default, parent: typeParameter, ast, additionalOptions })
-                    : typeParameter.default;
+        /**
+         * TypeScript versions before 3.0 do not support optional elements, and parse
+         * `number?` as a JSDoc nullable type instead
+         */
+        const isOptional = elementType.kind === SyntaxKind.OptionalType || (
+            elementType.kind === SyntaxKind.JSDocNullableType &&
+            elementType.type.getStart() === elementType.getStart()
+        );
+
+        if (isOptional) {
+            elementTypeNode = { type: AST_NODE_TYPES.TSOptionalType };
+        } else if (elementType.kind === SyntaxKind.RestType) {
+            elementTypeNode = { type: AST_NODE_TYPES.TSRestType };
+        } else {
+            return convertChild(elementType);
+        }
 
-                return {
-                    type: AST_NODE_TYPES.TSTypeParameter,
-                    range: [
-                        typeParameter.getStart(),
-                        typeParameter.getEnd()
-                    ],
-                    loc: nodeUtils.getLoc(typeParameter, ast),
-                    name,
-                    constraint,
-                    default: defaultParameter
-                };
-            })
-        };
+        return registerNode(elementType, addLoc(Object.assign(elementTypeNode, {
+            range: [elementType.getStart(), elementType.end],
+            typeAnnotation: convertChild(elementType.type)
+        })));
+    }
+
+    /**
+     * Converts a readonly or question token of a mapped type into the value of the
+     * matching modifier, which is "+" or "-" if the token adds or removes the modifier
+     * @param {TSToken} token the readonly or question token
+     * @returns {boolean|string} the value of the modifier
+     */
+    function convertMappedTypeModifier(token) {
+        switch (token.kind) {
+            case SyntaxKind.PlusToken:
+                return "+";
+            case SyntaxKind.MinusToken:
+                return "-";
+            default:
+                return true;
+        }
     }
 
     /**
@@ -222,16 +327,15 @@ module.exports = function convert(config) {
      */
     function convertClassImplements(child) {
         const id = convertChild(child.expression);
-        const classImplementsNode = {
+        const classImplementsNode = addLoc({
             type: AST_NODE_TYPES.ClassImplements,
-            loc: id.loc,
             range: id.range,
             id
-        };
+        });
         if (child.typeArguments && child.typeArguments.length) {
             classImplementsNode.typeParameters = convertTypeArgumentsToTypeParameters(child.typeArguments);
         }
-        return classImplementsNode;
+        return registerNode(child, classImplementsNode);
     }
 
     /**
@@ -241,17 +345,16 @@ module.exports = function convert(config) {
      */
     function convertInterfaceHeritageClause(child) {
         const id = convertChild(child.expression);
-        const classImplementsNode = {
+        const classImplementsNode = addLoc({
             type: AST_NODE_TYPES.TSInterfaceHeritage,
-            loc: id.loc,
             range: id.range,
             id
-        };
+        });
 
         if (child.typeArguments && child.typeArguments.length) {
             classImplementsNode.typeParameters = convertTypeArgumentsToTypeParameters(child.typeArguments);
         }
-        return classImplementsNode;
+        return registerNode(child, classImplementsNode);
     }
 
     /**
@@ -265,12 +368,11 @@ module.exports = function convert(config) {
         }
         return decorators.map(decorator => {
             const expression = convertChild(decorator.expression);
-            return {
+            return registerNode(decorator, addLoc({
                 type: AST_NODE_TYPES.Decorator,
                 range: [decorator.getStart(), decorator.end],
-                loc: nodeUtils.getLoc(decorator, ast),
                 expression
-            };
+            }));
         });
     }
 
@@ -348,7 +450,7 @@ module.exports = function convert(config) {
      * @returns {Object}    the converted ESTree name object
      */
     function convertTypeScriptJSXTagNameToESTreeName(tagName) {
-        const tagNameToken = nodeUtils.convertToken(tagName, ast);
+        const tagNameToken = nodeUtils.convertToken(tagName, ast, additionalOptions.loc);
 
         if (tagNameToken.type === AST_NODE_TYPES.JSXMemberExpression) {
 
@@ -372,7 +474,7 @@ module.exports = function convert(config) {
 
         delete tagNameToken.value;
 
-        return tagNameToken;
+        return registerNode(tagName, tagNameToken);
     }
 
     /**
@@ -434,8 +536,7 @@ module.exports = function convert(config) {
     function fixTypeAnnotationParentLocation(typeAnnotationParent) {
         const end = node.type.getEnd();
         typeAnnotationParent.range[1] = end;
-        const loc = nodeUtils.getLocFor(typeAnnotationParent.range[0], typeAnnotationParent.range[1], ast);
-        typeAnnotationParent.loc = loc;
+        addLoc(typeAnnotationParent);
     }
 
     /**
@@ -451,6 +552,10 @@ module.exports = function convert(config) {
                 sourceType: node.externalModuleIndicator ? "module" : "script"
             });
 
+            if (node.isDeclarationFile) {
+                result.isDeclarationFile = true;
+            }
+
             // filter out unknown nodes for now
             node.statements.forEach(statement => {
                 const convertedStatement = convertChild(statement);
@@ -460,7 +565,7 @@ module.exports = function convert(config) {
             });
 
             result.range[1] = node.endOfFileToken.end;
-            result.loc = nodeUtils.getLocFor(node.getStart(), result.range[1], ast);
+            addLoc(result);
             break;
 
         case SyntaxKind.Block:
@@ -792,13 +897,12 @@ module.exports = function convert(config) {
                 Object.assign(result, {
                     type: AST_NODE_TYPES.Property,
                     key: convertChild(node.name),
-                    value: {
+                    value: registerNode(node, addLoc({
                         type: AST_NODE_TYPES.AssignmentPattern,
                         left: convertChild(node.name),
                         right: convertChild(node.objectAssignmentInitializer),
-                        loc: result.loc,
                         range: result.range
-                    },
+                    })),
                     computed: false,
                     method: false,
                     shorthand: true,
@@ -877,31 +981,16 @@ module.exports = function convert(config) {
         case SyntaxKind.SetAccessor:
         case SyntaxKind.MethodDeclaration: {
 
-            const openingParen = nodeUtils.findFirstMatchingToken(node.name, ast, token => {
-                if (!token || !token.kind) {
-                    return false;
-                }
-                return nodeUtils.getTextForTokenKind(token.kind) === "(";
-            });
-
-            const methodLoc = ast.getLineAndCharacterOfPosition(openingParen.getStart()),
-                nodeIsMethod = (node.kind === SyntaxKind.MethodDeclaration),
-                method = {
+            const nodeIsMethod = (node.kind === SyntaxKind.MethodDeclaration),
+                method = registerNode(node, addLoc({
                     type: AST_NODE_TYPES.FunctionExpression,
                     id: null,
                     generator: !!node.asteriskToken,
                     expression: false,
                     async: nodeUtils.hasModifier(SyntaxKind.AsyncKeyword, node),
                     body: convertChild(node.body),
-                    range: [node.parameters.pos - 1, result.range[1]],
-                    loc: {
-                        start: {
-                            line: methodLoc.line + 1,
-                            column: methodLoc.character
-                        },
-                        end: result.loc.end
-                    }
-                };
+                    range: [node.parameters.pos - 1, result.range[1]]
+                }));
 
             if (node.type) {
                 method.returnType = convertTypeAnnotation(node.type);
@@ -984,8 +1073,7 @@ module.exports = function convert(config) {
             const constructorIsStatic = nodeUtils.hasStaticModifierFlag(node),
                 constructorIsAbstract = nodeUtils.hasModifier(SyntaxKind.AbstractKeyword, node),
                 firstConstructorToken = constructorIsStatic ? nodeUtils.findNextToken(node.getFirstToken(), ast) : node.getFirstToken(),
-                constructorLoc = ast.getLineAndCharacterOfPosition(node.parameters.pos - 1),
-                constructor = {
+                constructor = registerNode(node, addLoc({
                     type: AST_NODE_TYPES.FunctionExpression,
                     id: null,
                     params: convertParameters(node.parameters),
@@ -993,55 +1081,27 @@ module.exports = function convert(config) {
                     expression: false,
                     async: false,
                     body: convertChild(node.body),
-                    range: [node.parameters.pos - 1, result.range[1]],
-                    loc: {
-                        start: {
-                            line: constructorLoc.line + 1,
-                            column: constructorLoc.character
-                        },
-                        end: result.loc.end
-                    }
-                };
+                    range: [node.parameters.pos - 1, result.range[1]]
+                }));
 
-            const constructorIdentifierLocStart = ast.getLineAndCharacterOfPosition(firstConstructorToken.getStart()),
-                constructorIdentifierLocEnd = ast.getLineAndCharacterOfPosition(firstConstructorToken.getEnd()),
-                constructorIsComputed = !!node.name && nodeUtils.isComputedProperty(node.name);
+            const constructorIsComputed = !!node.name && nodeUtils.isComputedProperty(node.name);
 
             let constructorKey;
 
+            // The name of a constructor is only a node of its own when it is a string literal
             if (constructorIsComputed) {
-                constructorKey = {
+                constructorKey = registerNode(node.name, addLoc({
                     type: AST_NODE_TYPES.Literal,
                     value: "constructor",
                     raw: node.name.getText(),
-                    range: [firstConstructorToken.getStart(), firstConstructorToken.end],
-                    loc: {
-                        start: {
-                            line: constructorIdentifierLocStart.line + 1,
-                            column: constructorIdentifierLocStart.character
-                        },
-                        end: {
-                            line: constructorIdentifierLocEnd.line + 1,
-                            column: constructorIdentifierLocEnd.character
-                        }
-                    }
-                };
+                    range: [firstConstructorToken.getStart(), firstConstructorToken.end]
+                }));
             } else {
-                constructorKey = {
+                constructorKey = registerNode(node, addLoc({
                     type: AST_NODE_TYPES.Identifier,
                     name: "constructor",
-                    range: [firstConstructorToken.getStart(), firstConstructorToken.end],
-                    loc: {
-                        start: {
-                            line: constructorIdentifierLocStart.line + 1,
-                            column: constructorIdentifierLocStart.character
-                        },
-                        end: {
-                            line: constructorIdentifierLocEnd.line + 1,
-                            column: constructorIdentifierLocEnd.character
-                        }
-                    }
-                };
+                    range: [firstConstructorToken.getStart(), firstConstructorToken.end]
+                }));
             }
 
             Object.assign(result, {
@@ -1149,13 +1209,12 @@ module.exports = function convert(config) {
                 }
 
                 if (node.initializer) {
-                    result.value = {
+                    result.value = registerNode(node, addLoc({
                         type: AST_NODE_TYPES.AssignmentPattern,
                         left: convertChild(node.name),
                         right: convertChild(node.initializer),
-                        range: [node.name.getStart(), node.initializer.end],
-                        loc: nodeUtils.getLocFor(node.name.getStart(), node.initializer.end, ast)
-                    };
+                        range: [node.name.getStart(), node.initializer.end]
+                    }));
                 }
             }
             break;
@@ -1204,16 +1263,15 @@ module.exports = function convert(config) {
             Object.assign(result, {
                 type: AST_NODE_TYPES.TemplateLiteral,
                 quasis: [
-                    {
+                    registerNode(node, addLoc({
                         type: AST_NODE_TYPES.TemplateElement,
                         value: {
-                            raw: ast.text.slice(node.getStart() + 1, node.end - 1),
+                            raw: nodeUtils.getTemplateRawValue(ast.text.slice(node.getStart() + 1, node.end - 1)),
                             cooked: node.text
                         },
                         tail: true,
-                        range: result.range,
-                        loc: result.loc
-                    }
+                        range: result.range
+                    }))
                 ],
                 expressions: []
             });
@@ -1250,7 +1308,7 @@ module.exports = function convert(config) {
             Object.assign(result, {
                 type: AST_NODE_TYPES.TemplateElement,
                 value: {
-                    raw: ast.text.slice(node.getStart() + 1, node.end - (tail ? 1 : 2)),
+                    raw: nodeUtils.getTemplateRawValue(ast.text.slice(node.getStart() + 1, node.end - (tail ? 1 : 2))),
                     cooked: node.text
                 },
                 tail
@@ -1332,16 +1390,21 @@ module.exports = function convert(config) {
             }
 
             if (node.modifiers) {
-                return {
+
+                // A rest element or assignment pattern is wrapped, and is created for the parameter too
+                if (result !== parameter) {
+                    registerNode(node, result);
+                }
+
+                result = addLoc({
                     type: AST_NODE_TYPES.TSParameterProperty,
                     range: [node.getStart(), node.end],
-                    loc: nodeUtils.getLoc(node, ast),
                     accessibility: nodeUtils.getTSNodeAccessibility(node) || undefined,
                     readonly: nodeUtils.hasModifier(SyntaxKind.ReadonlyKeyword, node) || undefined,
                     static: nodeUtils.hasModifier(SyntaxKind.StaticKeyword, node) || undefined,
                     export: nodeUtils.hasModifier(SyntaxKind.ExportKeyword, node) || undefined,
                     parameter: result
-                };
+                });
             }
 
             break;
@@ -1392,12 +1455,21 @@ module.exports = function convert(config) {
                 lastClassToken = node.getFirstToken();
             }
 
-            const openBrace = nodeUtils.findNextToken(lastClassToken, ast);
+            const openBrace = lastClassToken && nodeUtils.findNextToken(lastClassToken, ast);
             const superClass = heritageClauses.find(clause => clause.token === SyntaxKind.ExtendsKeyword);
 
             if (superClass) {
                 if (superClass.types.length > 1) {
-                    throw nodeUtils.createError(ast, superClass.types[1].pos, "Classes can only extend a single class.");
+                    const error = nodeUtils.createError(ast, superClass.types[1].pos, "Classes can only extend a single class.", superClass.types[1].end);
+
+                    // The parser accepts this, so the code is that of the diagnostic which the type checker reports for it
+                    error.code = 1174;
+                    error.category = "error";
+
+                    if (!additionalOptions.errors) {
+                        throw error;
+                    }
+                    additionalOptions.errors.push(error);
                 }
 
                 if (superClass.types[0] && superClass.types[0].typeArguments) {
@@ -1410,14 +1482,13 @@ module.exports = function convert(config) {
             Object.assign(result, {
                 type: classNodeType,
                 id: convertChild(node.name),
-                body: {
+                body: addLoc({
                     type: AST_NODE_TYPES.ClassBody,
                     body: [],
 
                     // TODO: Fix location info
-                    range: [openBrace.getStart(), result.range[1]],
-                    loc: nodeUtils.getLocFor(openBrace.getStart(), node.end, ast)
-                },
+                    range: [getOpenBraceStart(openBrace, node.members), result.range[1]]
+                }),
                 superClass: (superClass && superClass.types[0] ? convertChild(superClass.types[0].expression) : null)
             });
 
@@ -1496,7 +1567,7 @@ module.exports = function convert(config) {
 
             // have to adjust location information due to tree differences
             result.range[1] = node.name.end;
-            result.loc = nodeUtils.getLocFor(result.range[0], result.range[1], ast);
+            addLoc(result);
             break;
 
         case SyntaxKind.NamedImports:
@@ -1729,12 +1800,11 @@ module.exports = function convert(config) {
             const newToken = nodeUtils.convertToken(node.getFirstToken(), ast);
             Object.assign(result, {
                 type: AST_NODE_TYPES.MetaProperty,
-                meta: {
+                meta: addLoc({
                     type: AST_NODE_TYPES.Identifier,
                     range: newToken.range,
-                    loc: newToken.loc,
                     name: nodeUtils.getTextForTokenKind(node.keywordToken)
-                },
+                }),
                 property: convertChild(node.name)
             });
             break;
@@ -1841,13 +1911,20 @@ module.exports = function convert(config) {
 
         case SyntaxKind.JsxSelfClosingElement: {
             /**
-             * Convert SyntaxKind.JsxSelfClosingElement to SyntaxKind.JsxOpeningElement,
-             * TypeScript does not seem to have the idea of openingElement when tag is self-closing
+             * Convert SyntaxKind.JsxSelfClosingElement to a self-closing JSXOpeningElement,
+             * TypeScript does not seem to have the idea of openingElement when tag is self-closing.
+             * The TSNode itself is not mutated, as the same SourceFile may be converted more than once.
              */
-            node.kind = SyntaxKind.JsxOpeningElement;
-
-            const openingElement = convertChild(node);
-            openingElement.selfClosing = true;
+            const openingElement = registerNode(node, addLoc({
+                type: AST_NODE_TYPES.JSXOpeningElement,
+                range: result.range.slice(),
+                typeParameters: (node.typeArguments)
+                    ? convertTypeArgumentsToTypeParameters(node.typeArguments)
+                    : undefined,
+                selfClosing: true,
+                name: convertTypeScriptJSXTagNameToESTreeName(node.tagName),
+                attributes: node.attributes.properties.map(convertChild)
+            }));
 
             Object.assign(result, {
                 type: AST_NODE_TYPES.JSXElement,
@@ -1879,22 +1956,28 @@ module.exports = function convert(config) {
             });
             break;
 
+        case SyntaxKind.JsxFragment:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.JSXFragment,
+                openingFragment: convertChild(node.openingFragment),
+                closingFragment: convertChild(node.closingFragment),
+                children: node.children.map(convertChild)
+            });
+            break;
+
+        case SyntaxKind.JsxOpeningFragment:
+            result.type = AST_NODE_TYPES.JSXOpeningFragment;
+            break;
+
+        case SyntaxKind.JsxClosingFragment:
+            result.type = AST_NODE_TYPES.JSXClosingFragment;
+            break;
+
         case SyntaxKind.JsxExpression: {
-            const eloc = ast.getLineAndCharacterOfPosition(result.range[0] + 1);
-            const expression = (node.expression) ? convertChild(node.expression) : {
+            const expression = (node.expression) ? convertChild(node.expression) : addLoc({
                 type: AST_NODE_TYPES.JSXEmptyExpression,
-                loc: {
-                    start: {
-                        line: eloc.line + 1,
-                        column: eloc.character
-                    },
-                    end: {
-                        line: result.loc.end.line,
-                        column: result.loc.end.column - 1
-                    }
-                },
                 range: [result.range[0] + 1, result.range[1] - 1]
-            };
+            });
 
             Object.assign(result, {
                 type: node.dotDotDotToken
@@ -1908,7 +1991,7 @@ module.exports = function convert(config) {
         }
 
         case SyntaxKind.JsxAttribute: {
-            const attributeName = nodeUtils.convertToken(node.name, ast);
+            const attributeName = registerNode(node.name, nodeUtils.convertToken(node.name, ast, additionalOptions.loc));
             attributeName.type = AST_NODE_TYPES.JSXIdentifier;
             attributeName.name = attributeName.value;
             delete attributeName.value;
@@ -1942,8 +2025,8 @@ module.exports = function convert(config) {
                 raw: ast.text.slice(start, end)
             });
 
-            result.loc = nodeUtils.getLocFor(start, end, ast);
             result.range = [start, end];
+            addLoc(result);
 
             break;
         }
@@ -1973,9 +2056,31 @@ module.exports = function convert(config) {
 
         /**
          * Convert TypeAliasDeclaration node into VariableDeclaration
-         * to allow core rules such as "semi" to work automatically
+         * to allow core rules such as "semi" to work automatically,
+         * unless a TSTypeAliasDeclaration has been requested
          */
         case SyntaxKind.TypeAliasDeclaration: {
+            if (additionalOptions.useTypeAliasDeclaration) {
+                Object.assign(result, {
+                    type: AST_NODE_TYPES.TSTypeAliasDeclaration,
+                    id: convertChild(node.name),
+                    typeAnnotation: convertChild(node.type)
+                });
+
+                if (node.typeParameters && node.typeParameters.length) {
+                    result.typeParameters = convertTSTypeParametersToTypeParametersDeclaration(node.typeParameters);
+                }
+
+                if (nodeUtils.hasModifier(SyntaxKind.DeclareKeyword, node)) {
+                    result.declare = true;
+                }
+
+                // check for exports
+                result = nodeUtils.fixExports(node, result, ast);
+
+                break;
+            }
+
             const typeAliasDeclarator = {
                 type: AST_NODE_TYPES.VariableDeclarator,
                 id: convertChild(node.name),
@@ -1983,7 +2088,7 @@ module.exports = function convert(config) {
                 range: [node.name.getStart(), node.end]
             };
 
-            typeAliasDeclarator.loc = nodeUtils.getLocFor(typeAliasDeclarator.range[0], typeAliasDeclarator.range[1], ast);
+            registerNode(node, addLoc(typeAliasDeclarator));
 
             // Process typeParameters
             if (node.typeParameters && node.typeParameters.length) {
@@ -2097,14 +2202,13 @@ module.exports = function convert(config) {
 
             const hasImplementsClause = interfaceHeritageClauses.length > 0;
             const hasAbstractKeyword = nodeUtils.hasModifier(SyntaxKind.AbstractKeyword, node);
-            const interfaceOpenBrace = nodeUtils.findNextToken(interfaceLastClassToken, ast);
+            const interfaceOpenBrace = interfaceLastClassToken && nodeUtils.findNextToken(interfaceLastClassToken, ast);
 
-            const interfaceBody = {
+            const interfaceBody = addLoc({
                 type: AST_NODE_TYPES.TSInterfaceBody,
                 body: node.members.map(member => convertChild(member)),
-                range: [interfaceOpenBrace.getStart(), result.range[1]],
-                loc: nodeUtils.getLocFor(interfaceOpenBrace.getStart(), node.end, ast)
-            };
+                range: [getOpenBraceStart(interfaceOpenBrace, node.members), result.range[1]]
+            });
 
             Object.assign(result, {
                 abstract: hasAbstractKeyword,
@@ -2137,8 +2241,8 @@ module.exports = function convert(config) {
             /**
              * Specific fix for type-guard location data
              */
-            result.typeAnnotation.loc = result.typeAnnotation.typeAnnotation.loc;
             result.typeAnnotation.range = result.typeAnnotation.typeAnnotation.range;
+            addLoc(result.typeAnnotation);
             break;
 
         case SyntaxKind.EnumDeclaration: {
@@ -2181,12 +2285,36 @@ module.exports = function convert(config) {
         }
 
         case SyntaxKind.ModuleDeclaration: {
+            let id = convertChild(node.name);
+            let body = node.body;
+
+            /**
+             * `namespace A.B.C {}` is represented as a ModuleDeclaration for each name,
+             * which can optionally be flattened into a single declaration with a qualified name
+             */
+            if (additionalOptions.flattenModuleIds) {
+                while (body && nodeUtils.isNestedModuleDeclaration(body)) {
+                    const right = convertChild(body.name);
+                    id = addLoc({
+                        type: AST_NODE_TYPES.TSQualifiedName,
+                        range: [id.range[0], right.range[1]],
+                        left: id,
+                        right
+                    });
+                    body = body.body;
+                }
+            }
+
             Object.assign(result, {
                 type: AST_NODE_TYPES.TSModuleDeclaration,
-                id: convertChild(node.name)
+                id,
+                kind: nodeUtils.getModuleDeclarationKind(node)
             });
-            if (node.body) {
-                result.body = convertChild(node.body);
+            if (result.kind === "global") {
+                result.global = true;
+            }
+            if (body) {
+                result.body = convertChild(body);
             }
             // apply modifiers first...
             applyModifiersToResult(node.modifiers);
@@ -2195,10 +2323,153 @@ module.exports = function convert(config) {
             break;
         }
 
+        /**
+         * Type assertions hold the asserted expression, and the type it is asserted
+         * to be as the typeAnnotation, without a TSTypeAnnotation wrapper
+         */
+        case SyntaxKind.AsExpression:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSAsExpression,
+                expression: convertChild(node.expression),
+                typeAnnotation: convertChild(node.type)
+            });
+            break;
+
+        case SyntaxKind.TypeAssertionExpression:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSTypeAssertionExpression,
+                typeAnnotation: convertChild(node.type),
+                expression: convertChild(node.expression)
+            });
+            break;
+
+        case SyntaxKind.MappedType:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSMappedType,
+                typeParameter: convertTSTypeParameter(node.typeParameter)
+            });
+            if (node.readonlyToken) {
+                result.readonly = convertMappedTypeModifier(node.readonlyToken);
+            }
+            if (node.questionToken) {
+                result.optional = convertMappedTypeModifier(node.questionToken);
+            }
+            if (node.type) {
+                result.typeAnnotation = convertChild(node.type);
+            }
+            break;
+
+        case SyntaxKind.TupleType:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSTupleType,
+                elementTypes: node.elementTypes.map(convertTupleElementType)
+            });
+            break;
+
+        case SyntaxKind.UnionType:
+        case SyntaxKind.IntersectionType:
+            Object.assign(result, {
+                type: (node.kind === SyntaxKind.UnionType) ? AST_NODE_TYPES.TSUnionType : AST_NODE_TYPES.TSIntersectionType,
+                types: node.types.map(convertChild)
+            });
+            break;
+
+        case SyntaxKind.ParenthesizedType: {
+            const type = convert({ node: node.type, parent, ast, additionalOptions });
+
+            // The parentheses have no node of their own, so they are mapped to the type within them
+            if (additionalOptions.astMaps) {
+                additionalOptions.astMaps.tsNodeToESTreeNodeMap.set(node, type);
+            }
+            return type;
+        }
+
+        case SyntaxKind.LiteralType:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSLiteralType,
+                literal: convertChild(node.literal)
+            });
+            break;
+
+        case SyntaxKind.IndexedAccessType:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSIndexedAccessType,
+                objectType: convertChild(node.objectType),
+                indexType: convertChild(node.indexType)
+            });
+            break;
+
+        case SyntaxKind.TypeQuery:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSTypeQuery,
+                exprName: convertChild(node.exprName)
+            });
+            break;
+
+        case SyntaxKind.ThisType:
+            result.type = AST_NODE_TYPES.TSThisType;
+            break;
+
+        case SyntaxKind.ConditionalType:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSConditionalType,
+                checkType: convertChild(node.checkType),
+                extendsType: convertChild(node.extendsType),
+                trueType: convertChild(node.trueType),
+                falseType: convertChild(node.falseType)
+            });
+            break;
+
+        case SyntaxKind.InferType:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSInferType,
+                typeParameter: convertTSTypeParameter(node.typeParameter)
+            });
+            break;
+
+        case SyntaxKind.ImportEqualsDeclaration:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSImportEqualsDeclaration,
+                id: convertChild(node.name),
+                moduleReference: convertChild(node.moduleReference),
+                isExport: nodeUtils.hasModifier(SyntaxKind.ExportKeyword, node)
+            });
+            break;
+
+        case SyntaxKind.ExternalModuleReference:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSExternalModuleReference,
+                expression: convertChild(node.expression)
+            });
+            break;
+
+        case SyntaxKind.NamespaceExportDeclaration:
+            Object.assign(result, {
+                type: AST_NODE_TYPES.TSNamespaceExportDeclaration,
+                id: convertChild(node.name)
+            });
+            break;
+
         default:
             deeplyCopy();
     }
 
+    /**
+     * Record the relationship between the TSNode and the final ESTreeNode, so that
+     * it can be exposed to consumers via the parser services
+     */
+    if (additionalOptions.astMaps) {
+        registerNode(node, result);
+
+        /**
+         * Declarations which have been wrapped in an export node should also
+         * map back to the original TSNode
+         */
+        if (result.declaration && !additionalOptions.astMaps.esTreeNodeToTSNodeMap.has(result.declaration)) {
+            additionalOptions.astMaps.esTreeNodeToTSNodeMap.set(result.declaration, node);
+        }
+    }
+
     return result;
 
 };
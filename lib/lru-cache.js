@@ -0,0 +1,64 @@
+/**
+ * @fileoverview A Map which only keeps its most recently used entries.
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+/**
+ * A Map which removes its least recently used entry once it holds more than
+ * the given number of entries. The iteration order of a Map is the order in
+ * which its keys were inserted, so an entry is moved to the end whenever it
+ * is used, leaving the least recently used entry first.
+ */
+class LRUCache extends Map {
+
+    /**
+     * @param {number} maxSize the maximum number of entries to keep
+     */
+    constructor(maxSize) {
+        super();
+        this.maxSize = maxSize;
+    }
+
+    /**
+     * Returns the value for the given key, and marks the entry as the most recently used
+     * @param {*} key the key
+     * @returns {*} the value, or undefined if there is no entry for the key
+     */
+    get(key) {
+        if (!this.has(key)) {
+            return undefined;
+        }
+
+        const value = super.get(key);
+
+        super.delete(key);
+        super.set(key, value);
+        return value;
+    }
+
+    /**
+     * Sets the value for the given key as the most recently used entry, and
+     * removes the least recently used entry if there are too many entries
+     * @param {*} key the key
+     * @param {*} value the value
+     * @returns {LRUCache} the cache
+     */
+    set(key, value) {
+        super.delete(key);
+        super.set(key, value);
+
+        if (this.size > this.maxSize) {
+            super.delete(this.keys().next().value);
+        }
+        return this;
+    }
+}
+
+module.exports = LRUCache;
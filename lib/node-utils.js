@@ -156,6 +156,7 @@ module.exports = {
     findAncestorOfKind,
     hasJSXAncestor,
     unescapeStringLiteralText,
+    getTemplateRawValue,
     isComputedProperty,
     isOptional,
     fixExports,
@@ -167,6 +168,8 @@ module.exports = {
     isTypeKeyword,
     isComment,
     isJSDocComment,
+    getModuleDeclarationKind,
+    isNestedModuleDeclaration,
     createError
 };
 /* eslint-enable no-use-before-define */
@@ -482,6 +485,16 @@ function unescapeStringLiteralText(text) {
     return unescape(text);
 }
 
+/**
+ * Returns the raw value of a template element from its source text, in which
+ * "\r\n" and "\r" line terminators are normalized to "\n", as required by ESTree
+ * @param {string} text The source text of the template element.
+ * @returns {string} The raw value.
+ */
+function getTemplateRawValue(text) {
+    return text.replace(/\r\n?/g, "\n");
+}
+
 /**
  * Returns true if a given TSNode is a computed property
  * @param  {TSNode} node TSNode to be checked
@@ -528,17 +541,24 @@ function fixExports(node, result, ast) {
             varToken = findNextToken(lastModifier, ast);
 
         result.range[0] = varToken.getStart();
-        result.loc = getLocFor(result.range[0], result.range[1], ast);
+
+        // The line and column data is only updated when it was asked for
+        if (result.loc) {
+            result.loc = getLocFor(result.range[0], result.range[1], ast);
+        }
 
         const declarationType = declarationIsDefault ? "ExportDefaultDeclaration" : "ExportNamedDeclaration";
 
         const newResult = {
             type: declarationType,
             declaration: result,
-            range: [exportKeyword.getStart(), result.range[1]],
-            loc: getLocFor(exportKeyword.getStart(), result.range[1], ast)
+            range: [exportKeyword.getStart(), result.range[1]]
         };
 
+        if (result.loc) {
+            newResult.loc = getLocFor(exportKeyword.getStart(), result.range[1], ast);
+        }
+
         if (!declarationIsDefault) {
             newResult.specifiers = [];
             newResult.source = null;
@@ -644,19 +664,23 @@ function getTokenType(token) {
  * Extends and formats a given ESTreeToken, for a given AST
  * @param  {ESTreeToken} token the ESTreeToken
  * @param  {Object} ast   the AST object
+ * @param  {boolean} includeLoc whether or not to include the line and column data
  * @returns {ESTreeToken}       the converted ESTreeToken
  */
-function convertToken(token, ast) {
+function convertToken(token, ast, includeLoc) {
     const start = (token.kind === SyntaxKind.JsxText) ? token.getFullStart() : token.getStart(),
         end = token.getEnd(),
         value = ast.text.slice(start, end),
         newToken = {
             type: getTokenType(token),
             value,
-            range: [start, end],
-            loc: getLocFor(start, end, ast)
+            range: [start, end]
         };
 
+    if (includeLoc) {
+        newToken.loc = getLocFor(start, end, ast);
+    }
+
     if (newToken.type === "RegularExpression") {
         newToken.regex = {
             pattern: value.slice(1, value.lastIndexOf("/")),
@@ -670,9 +694,10 @@ function convertToken(token, ast) {
 /**
  * Converts all tokens for the given AST
  * @param  {Object} ast the AST object
+ * @param  {boolean} includeLoc whether or not to include the line and column data
  * @returns {ESTreeToken[]}     the converted ESTreeTokens
  */
-function convertTokens(ast) {
+function convertTokens(ast, includeLoc) {
     const result = [];
     /**
      * @param  {TSNode} node the TSNode
@@ -686,7 +711,7 @@ function convertTokens(ast) {
         }
 
         if (isToken(node) && node.kind !== SyntaxKind.EndOfFileToken) {
-            const converted = convertToken(node, ast);
+            const converted = convertToken(node, ast, includeLoc);
 
             if (converted) {
                 result.push(converted);
@@ -731,18 +756,52 @@ function getNodeContainer(ast, start, end) {
     return container;
 }
 
+/**
+ * Returns the kind of the given ModuleDeclaration
+ * @param {TSNode} node TypeScript AST node
+ * @returns {string} "global" for global augmentations, "module" for `module` declarations
+ *                   and ambient modules with a string name, "namespace" otherwise
+ */
+function getModuleDeclarationKind(node) {
+    if (node.flags & ts.NodeFlags.GlobalAugmentation) {
+        return "global";
+    }
+    if (node.name.kind === SyntaxKind.StringLiteral) {
+        return "module";
+    }
+    return (node.flags & ts.NodeFlags.Namespace) ? "namespace" : "module";
+}
+
+/**
+ * Returns true if the given TSNode is the body of another ModuleDeclaration,
+ * such as `B` in `namespace A.B {}`
+ * @param {TSNode} node TypeScript AST node
+ * @returns {boolean} is a nested ModuleDeclaration
+ */
+function isNestedModuleDeclaration(node) {
+    return node.kind === SyntaxKind.ModuleDeclaration && !!(node.flags & ts.NodeFlags.NestedNamespace);
+}
+
 /**
  * @param {Object} ast     the AST object
  * @param {int} start      the index at which the error starts
  * @param {string} message the error message
+ * @param {int} [end]      the index at which the error ends, defaults to the start index
  * @returns {Object}       converted error object
  */
-function createError(ast, start, message) {
-    const loc = ast.getLineAndCharacterOfPosition(start);
+function createError(ast, start, message, end) {
+    if (typeof end !== "number") {
+        end = start;
+    }
+    const loc = ast.getLineAndCharacterOfPosition(start),
+        endLoc = ast.getLineAndCharacterOfPosition(end);
     return {
         index: start,
         lineNumber: loc.line + 1,
         column: loc.character,
+        endIndex: end,
+        endLineNumber: endLoc.line + 1,
+        endColumn: endLoc.character,
         message
     };
 }
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Caches TypeScript SourceFiles so that they can be incrementally updated when parsed again.
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const ts = require("typescript"),
+    LRUCache = require("./lru-cache");
+
+//------------------------------------------------------------------------------
+// Private
+//------------------------------------------------------------------------------
+
+/**
+ * The number of files whose SourceFiles are kept. Files are usually parsed
+ * again while they are being edited, or once each when linting a whole
+ * project, so only the most recently parsed files are worth keeping.
+ */
+const MAX_CACHED_SOURCE_FILES = 10;
+
+/**
+ * The most recent SourceFile for each cache key (typically the path of the file)
+ */
+const sourceFiles = new LRUCache(MAX_CACHED_SOURCE_FILES);
+
+/**
+ * Calculates the range of text which has changed between the two given strings
+ * @param {string} oldText the previous text
+ * @param {string} newText the new text
+ * @returns {Object} the TypeScript TextChangeRange
+ */
+function getTextChangeRange(oldText, newText) {
+    const maxPrefixLength = Math.min(oldText.length, newText.length);
+
+    let start = 0;
+    while (start < maxPrefixLength && oldText.charCodeAt(start) === newText.charCodeAt(start)) {
+        start++;
+    }
+
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText.charCodeAt(oldEnd - 1) === newText.charCodeAt(newEnd - 1)) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    return ts.createTextChangeRange(ts.createTextSpan(start, oldEnd - start), newEnd - start);
+}
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+/**
+ * Returns a SourceFile for the given code. If a previous SourceFile is given for
+ * the same file it is reused as-is when the code is unchanged, or incrementally
+ * updated so that only the changed region of the code is parsed again.
+ * @param {Object|undefined} previousSourceFile the previous SourceFile for the file
+ * @param {string} fileName the name to give to the SourceFile
+ * @param {string} code the code to parse
+ * @param {number} languageVersion the ScriptTarget to use
+ * @param {number} [scriptKind] the ScriptKind to use, by default it is based on the file name
+ * @returns {Object} the SourceFile
+ */
+function updateSourceFile(previousSourceFile, fileName, code, languageVersion, scriptKind) {
+    if (
+        previousSourceFile &&
+        previousSourceFile.fileName === fileName &&
+        previousSourceFile.languageVersion === languageVersion &&
+        (typeof scriptKind === "undefined" || previousSourceFile.scriptKind === scriptKind)
+    ) {
+        return (previousSourceFile.text === code)
+            ? previousSourceFile
+            : ts.updateSourceFile(previousSourceFile, code, getTextChangeRange(previousSourceFile.text, code));
+    }
+    return ts.createSourceFile(fileName, code, languageVersion, true, scriptKind);
+}
+
+/**
+ * Returns a SourceFile for the given code, reusing the SourceFile which was
+ * previously cached for the same key. Only the SourceFiles of the most
+ * recently used keys are kept.
+ * @param {string} key the cache key, typically the path of the file
+ * @param {string} fileName the name to give to the SourceFile
+ * @param {string} code the code to parse
+ * @param {number} languageVersion the ScriptTarget to use
+ * @param {number} [scriptKind] the ScriptKind to use, by default it is based on the file name
+ * @returns {Object} the SourceFile
+ */
+function getSourceFile(key, fileName, code, languageVersion, scriptKind) {
+    const sourceFile = updateSourceFile(sourceFiles.get(key), fileName, code, languageVersion, scriptKind);
+
+    sourceFiles.set(key, sourceFile);
+    return sourceFile;
+}
+
+/**
+ * Removes all of the cached SourceFiles
+ * @returns {void}
+ */
+function clear() {
+    sourceFiles.clear();
+}
+
+module.exports = {
+    MAX_CACHED_SOURCE_FILES,
+    updateSourceFile,
+    getSourceFile,
+    clear
+};
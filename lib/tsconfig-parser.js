@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Creates TypeScript programs based on the tsconfig.json files given via the "project" option.
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const path = require("path"),
+    ts = require("typescript"),
+    sourceFileCache = require("./source-file-cache");
+
+//------------------------------------------------------------------------------
+// Private
+//------------------------------------------------------------------------------
+
+/**
+ * The most recent program for each tsconfig.json file, which will be reused
+ * when creating the next program for the same project
+ */
+const programs = new Map();
+
+/**
+ * The SourceFiles of the most recent program for each tsconfig.json file, along
+ * with the time at which each file was last modified, by the absolute path of
+ * the file. These will be reused or incrementally updated when creating the next
+ * program for the same project.
+ */
+const projectSourceFiles = new Map();
+
+/**
+ * The parsed contents of each tsconfig.json file, along with the time at which
+ * the file was last modified, so that the file is only read and the files of
+ * the project are only looked up again when it has changed, or when a file
+ * which is being parsed is not found in any of the projects
+ */
+const projectConfigs = new Map();
+
+/**
+ * The code of the error reported when a tsconfig.json file does not include any files
+ */
+const NO_INPUTS_FOUND_ERROR_CODE = 18003;
+
+/**
+ * Creates an error for the given diagnostic produced while reading a tsconfig.json file
+ * @param {string} tsconfigPath the absolute path to the tsconfig.json file
+ * @param {Object} diagnostic the TypeScript diagnostic
+ * @returns {Error} the error object
+ */
+function createConfigError(tsconfigPath, diagnostic) {
+    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n");
+    return new Error(`Unable to read the TypeScript project config "${tsconfigPath}": ${message}`);
+}
+
+/**
+ * Returns the time at which the given file was last modified
+ * @param {string} fileName the name of the file
+ * @returns {number|undefined} the time in milliseconds, or undefined if the file does not exist
+ */
+function getModifiedTime(fileName) {
+    const modifiedTime = ts.sys.getModifiedTime(fileName);
+    return modifiedTime && modifiedTime.getTime();
+}
+
+/**
+ * Reads and parses the given tsconfig.json file, unless it has not changed
+ * since it was last read
+ * @param {string} tsconfigPath the absolute path to the tsconfig.json file
+ * @param {boolean} [allowNoInputs] whether the file is allowed to not include any files
+ * @param {boolean} [reread] whether to read the file and look up the files of the project again even if it has not changed
+ * @returns {Object} the parsed command line, containing the compiler options and root file names,
+ * and the set of the absolute paths of the root files
+ */
+function readProjectConfig(tsconfigPath, allowNoInputs, reread) {
+    const modifiedTime = getModifiedTime(tsconfigPath);
+    let projectConfig = projectConfigs.get(tsconfigPath);
+
+    if (reread || !projectConfig || projectConfig.modifiedTime !== modifiedTime) {
+        const configFile = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+
+        if (configFile.error) {
+            throw createConfigError(tsconfigPath, configFile.error);
+        }
+
+        const parsedCommandLine = ts.parseJsonConfigFileContent(
+            configFile.config,
+            ts.sys,
+            path.dirname(tsconfigPath),
+            undefined,
+            tsconfigPath
+        );
+
+        projectConfig = {
+            modifiedTime,
+            parsedCommandLine,
+            rootFilePaths: new Set(parsedCommandLine.fileNames.map(fileName => path.resolve(fileName)))
+        };
+        projectConfigs.set(tsconfigPath, projectConfig);
+    }
+
+    const errors = projectConfig.parsedCommandLine.errors.filter(error => !allowNoInputs || error.code !== NO_INPUTS_FOUND_ERROR_CODE);
+
+    if (errors.length) {
+        throw createConfigError(tsconfigPath, errors[0]);
+    }
+
+    return projectConfig;
+}
+
+/**
+ * Creates a program for the given tsconfig.json file, where the contents of the
+ * file being parsed are replaced with the given code
+ * @param {string} code the code of the file being parsed
+ * @param {string} filePath the absolute path of the file being parsed
+ * @param {string} tsconfigPath the absolute path to the tsconfig.json file
+ * @param {Object} parsedCommandLine the parsed contents of the tsconfig.json file
+ * @param {Object} compilerOptions compiler options which take precedence over the ones in the tsconfig.json file
+ * @returns {Object} the TypeScript program
+ */
+function createProgram(code, filePath, tsconfigPath, parsedCommandLine, compilerOptions) {
+    const sourceFiles = projectSourceFiles.get(tsconfigPath) || new Map();
+    const options = Object.assign({}, parsedCommandLine.options, compilerOptions);
+    const compilerHost = ts.createCompilerHost(options, true);
+    const readFile = compilerHost.readFile;
+
+    /**
+     * The code given to the parser may not have been saved to disk yet,
+     * so it always takes precedence over the contents of the file
+     * @param {string} fileName the name of the requested file
+     * @returns {string} the contents of the file
+     */
+    compilerHost.readFile = function(fileName) {
+        if (path.resolve(fileName) === filePath) {
+            return code;
+        }
+        return readFile.apply(compilerHost, arguments);
+    };
+
+    /**
+     * SourceFiles are kept for each project, so that files which have not been
+     * modified on disk are not read again, and changed files are only partially
+     * parsed again. The file being parsed is always compared with the given code.
+     * @param {string} fileName the name of the requested file
+     * @param {number} languageVersion the ScriptTarget to use
+     * @param {Function} onError called if the file cannot be read
+     * @returns {Object|undefined} the SourceFile
+     */
+    compilerHost.getSourceFile = function(fileName, languageVersion, onError) {
+        const absolutePath = path.resolve(fileName);
+        const previous = sourceFiles.get(absolutePath);
+        const modifiedTime = (absolutePath === filePath) ? undefined : getModifiedTime(absolutePath);
+
+        if (
+            previous &&
+            typeof modifiedTime !== "undefined" &&
+            previous.modifiedTime === modifiedTime &&
+            previous.sourceFile.languageVersion === languageVersion
+        ) {
+            return previous.sourceFile;
+        }
+
+        let text;
+        try {
+            text = compilerHost.readFile(fileName);
+        } catch (e) {
+            if (onError) {
+                onError(e.message);
+            }
+        }
+        if (typeof text !== "string") {
+            return undefined;
+        }
+
+        const sourceFile = sourceFileCache.updateSourceFile(previous && previous.sourceFile, fileName, text, languageVersion);
+        sourceFiles.set(absolutePath, { sourceFile, modifiedTime });
+        return sourceFile;
+    };
+
+    const program = ts.createProgram(
+        parsedCommandLine.fileNames,
+        options,
+        compilerHost,
+        programs.get(tsconfigPath)
+    );
+    programs.set(tsconfigPath, program);
+
+    // Files which are no longer part of the project do not need to be kept
+    const programFilePaths = new Set(program.getSourceFiles().map(sourceFile => path.resolve(sourceFile.fileName)));
+    sourceFiles.forEach((entry, absolutePath) => {
+        if (!programFilePaths.has(absolutePath)) {
+            sourceFiles.delete(absolutePath);
+        }
+    });
+    projectSourceFiles.set(tsconfigPath, sourceFiles);
+
+    return program;
+}
+
+/**
+ * Creates a program for the first of the configured projects which includes the
+ * file being parsed
+ * @param {string} code the code of the file being parsed
+ * @param {Object} extra the parser configuration
+ * @param {boolean} reread whether to read the tsconfig.json files and look up the files of the projects again
+ * @returns {Object|null} the TypeScript program and the SourceFile of the file being parsed,
+ * or null if none of the projects include the file
+ */
+function createIncludingProjectProgram(code, extra, reread) {
+    for (let i = 0; i < extra.projects.length; i++) {
+        const projectConfig = readProjectConfig(extra.projects[i], false, reread);
+
+        if (projectConfig.rootFilePaths.has(extra.filePath)) {
+            const program = createProgram(code, extra.filePath, extra.projects[i], projectConfig.parsedCommandLine, extra.compilerOptions);
+
+            return { program, ast: program.getSourceFile(extra.filePath) };
+        }
+    }
+
+    return null;
+}
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a program for the first of the configured projects which includes the file
+ * being parsed. If none of them do, the projects are read again in case the file has
+ * been created since they were last read.
+ * @param {string} code the code of the file being parsed
+ * @param {Object} extra the parser configuration
+ * @param {string} extra.filePath the absolute path of the file being parsed
+ * @param {string[]} extra.projects the absolute paths to the tsconfig.json files
+ * @param {Object} extra.compilerOptions compiler options which take precedence over the ones in the projects
+ * @returns {Object} the TypeScript program and the SourceFile of the file being parsed
+ */
+function createProjectProgram(code, extra) {
+    if (!extra.filePath) {
+        throw new Error("The \"filePath\" option is required when using the \"project\" option.");
+    }
+
+    const result = createIncludingProjectProgram(code, extra, false) || createIncludingProjectProgram(code, extra, true);
+
+    if (result) {
+        return result;
+    }
+
+    throw new Error(`The file "${extra.filePath}" is not included in any of the configured projects: ${extra.projects.join(", ")}`);
+}
+
+/**
+ * Parses the compilerOptions parser option, which is either an object in the same
+ * format as the compilerOptions in a tsconfig.json file, or the path to a
+ * tsconfig.json file to read the compiler options from
+ * @param {Object|string} compilerOptions the compilerOptions parser option
+ * @param {string} basePath the absolute path which relative paths are resolved against
+ * @returns {Object} the TypeScript CompilerOptions
+ */
+function parseCompilerOptions(compilerOptions, basePath) {
+    if (typeof compilerOptions === "string") {
+        return readProjectConfig(path.resolve(basePath, compilerOptions), true).parsedCommandLine.options;
+    }
+
+    const result = ts.convertCompilerOptionsFromJson(compilerOptions, basePath);
+
+    if (result.errors.length) {
+        const message = ts.flattenDiagnosticMessageText(result.errors[0].messageText, "\n");
+        throw new Error(`Invalid "compilerOptions": ${message}`);
+    }
+
+    return result.options;
+}
+
+/**
+ * Removes all of the cached programs, their SourceFiles and the parsed tsconfig.json files
+ * @returns {void}
+ */
+function clearCache() {
+    programs.clear();
+    projectSourceFiles.clear();
+    projectConfigs.clear();
+}
+
+module.exports = {
+    createProjectProgram,
+    parseCompilerOptions,
+    clearCache
+};
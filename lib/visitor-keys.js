@@ -0,0 +1,152 @@
+/**
+ * @fileoverview The visitor keys of the nodes in the ESTree AST which is produced from TypeScript code.
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const evk = require("eslint-visitor-keys");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const CLASS_KEYS = ["decorators", "id", "typeParameters", "superClass", "superTypeParameters", "implements", "body"];
+const CLASS_PROPERTY_KEYS = ["decorators", "key", "typeAnnotation", "value"];
+const FUNCTION_KEYS = ["id", "typeParameters", "params", "returnType", "body"];
+const METHOD_DEFINITION_KEYS = ["decorators", "key", "value"];
+const SIGNATURE_KEYS = ["typeParameters", "params", "typeAnnotation"];
+
+/**
+ * The keys of the nodes which are not in the standard visitor keys, and of the
+ * standard nodes which TypeScript adds type annotations, type parameters or
+ * decorators to. The children of each node are listed in source order.
+ */
+const TYPESCRIPT_KEYS = {
+
+    // Standard nodes
+    ArrayPattern: ["decorators", "elements", "typeAnnotation"],
+    ArrowFunctionExpression: ["typeParameters", "params", "returnType", "body"],
+    AssignmentPattern: ["decorators", "left", "right", "typeAnnotation"],
+    CallExpression: ["callee", "typeParameters", "arguments"],
+    ClassDeclaration: CLASS_KEYS,
+    ClassExpression: CLASS_KEYS,
+    FunctionDeclaration: FUNCTION_KEYS,
+    FunctionExpression: FUNCTION_KEYS,
+    Identifier: ["decorators", "typeAnnotation"],
+    JSXOpeningElement: ["name", "typeParameters", "attributes"],
+    MethodDefinition: METHOD_DEFINITION_KEYS,
+    NewExpression: ["callee", "typeParameters", "arguments"],
+    ObjectPattern: ["decorators", "properties", "typeAnnotation"],
+    RestElement: ["decorators", "argument", "typeAnnotation"],
+    TaggedTemplateExpression: ["tag", "typeParameters", "quasi"],
+    VariableDeclarator: ["id", "typeParameters", "init"],
+
+    // Nodes from Babylon and Flow
+    ClassImplements: ["id", "typeParameters"],
+    ClassProperty: CLASS_PROPERTY_KEYS,
+    DeclareFunction: FUNCTION_KEYS,
+    Decorator: ["expression"],
+    GenericTypeAnnotation: ["id", "typeParameters"],
+    Import: [],
+    JSXClosingFragment: [],
+    JSXOpeningFragment: [],
+    JSXSpreadChild: ["expression"],
+
+    // Functions without a body, which are renamed by parseForESLint
+    TSEmptyBodyDeclareFunction: FUNCTION_KEYS,
+    TSEmptyBodyFunctionDeclaration: FUNCTION_KEYS,
+    TSEmptyBodyFunctionExpression: FUNCTION_KEYS,
+
+    // Declarations and expressions
+    TSAbstractClassDeclaration: CLASS_KEYS,
+    TSAbstractClassExpression: CLASS_KEYS,
+    TSAbstractClassProperty: CLASS_PROPERTY_KEYS,
+    TSAbstractMethodDefinition: METHOD_DEFINITION_KEYS,
+    TSAsExpression: ["expression", "typeAnnotation"],
+    TSEnumDeclaration: ["decorators", "modifiers", "id", "members"],
+    TSEnumMember: ["id", "initializer"],
+    TSExportAssignment: ["expression"],
+    TSExternalModuleReference: ["expression"],
+    TSImportEqualsDeclaration: ["id", "moduleReference"],
+    TSInterfaceBody: ["body"],
+    TSInterfaceDeclaration: ["decorators", "id", "typeParameters", "heritage", "body"],
+    TSInterfaceHeritage: ["id", "typeParameters"],
+    TSModuleBlock: ["body"],
+    TSModuleDeclaration: ["modifiers", "id", "body"],
+    TSNamespaceExportDeclaration: ["id"],
+    TSNamespaceFunctionDeclaration: FUNCTION_KEYS,
+    TSNonNullExpression: ["expression"],
+    TSParameterProperty: ["decorators", "parameter"],
+    TSTypeAliasDeclaration: ["id", "typeParameters", "typeAnnotation"],
+    TSTypeAssertionExpression: ["typeAnnotation", "expression"],
+
+    // Members of classes, interfaces and type literals
+    TSConstructSignature: SIGNATURE_KEYS,
+    TSIndexSignature: ["index", "typeAnnotation"],
+    TSMethodSignature: ["key", "typeParameters", "params", "typeAnnotation"],
+    TSPropertySignature: ["key", "typeAnnotation", "initializer"],
+
+    // Types
+    TSArrayType: ["elementType"],
+    TSConditionalType: ["checkType", "extendsType", "trueType", "falseType"],
+    TSConstructorType: ["typeParameters", "parameters", "typeAnnotation"],
+    TSFunctionType: ["typeParameters", "parameters", "typeAnnotation"],
+    TSIndexedAccessType: ["objectType", "indexType"],
+    TSInferType: ["typeParameter"],
+    TSIntersectionType: ["types"],
+    TSLiteralType: ["literal"],
+    TSMappedType: ["typeParameter", "typeAnnotation"],
+    TSOptionalType: ["typeAnnotation"],
+    TSQualifiedName: ["left", "right"],
+    TSRestType: ["typeAnnotation"],
+    TSThisType: [],
+    TSTupleType: ["elementTypes"],
+    TSTypeAnnotation: ["typeAnnotation"],
+    TSTypeLiteral: ["members"],
+    TSTypeOperator: ["typeAnnotation"],
+    TSTypeParameter: ["constraint", "default"],
+    TSTypeParameterDeclaration: ["params"],
+    TSTypeParameterInstantiation: ["params"],
+    TSTypePredicate: ["parameterName", "typeAnnotation"],
+    TSTypeQuery: ["exprName"],
+    TSTypeReference: ["typeName", "typeParameters"],
+    TSUnionType: ["types"],
+
+    // Keywords
+    TSAbstractKeyword: [],
+    TSAnyKeyword: [],
+    TSAsyncKeyword: [],
+    TSBooleanKeyword: [],
+    TSDeclareKeyword: [],
+    TSExportKeyword: [],
+    TSNeverKeyword: [],
+    TSNullKeyword: [],
+    TSNumberKeyword: [],
+    TSObjectKeyword: [],
+    TSPrivateKeyword: [],
+    TSProtectedKeyword: [],
+    TSPublicKeyword: [],
+    TSQuestionToken: [],
+    TSReadonlyKeyword: [],
+    TSStaticKeyword: [],
+    TSStringKeyword: [],
+    TSSymbolKeyword: [],
+    TSUndefinedKeyword: [],
+    TSVoidKeyword: []
+};
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+/**
+ * The standard visitor keys, with the keys above in place of the standard
+ * ones, so that traversal reaches type annotations, type parameters and decorators
+ */
+module.exports = Object.freeze(Object.assign({}, evk.KEYS, TYPESCRIPT_KEYS));
@@ -8,9 +8,15 @@
 
 "use strict";
 
-const astNodeTypes = require("./lib/ast-node-types"),
+const path = require("path"),
+    astNodeTypes = require("./lib/ast-node-types"),
+    analyzeScope = require("./lib/analyze-scope"),
+    visitorKeys = require("./lib/visitor-keys"),
     ts = require("typescript"),
     convert = require("./lib/ast-converter"),
+    tsconfigParser = require("./lib/tsconfig-parser"),
+    sourceFileCache = require("./lib/source-file-cache"),
+    LRUCache = require("./lib/lru-cache"),
     semver = require("semver");
 
 const SUPPORTED_TYPESCRIPT_VERSIONS = require("./package.json").devDependencies.typescript;
@@ -20,6 +26,12 @@ const isRunningSupportedTypeScriptVersion = semver.satisfies(ACTIVE_TYPESCRIPT_V
 let extra;
 let warnedAboutTSVersion = false;
 
+/**
+ * The most recent isolated program for each of the most recently parsed file
+ * paths, which will be reused when the same file is parsed again
+ */
+const isolatedPrograms = new LRUCache(sourceFileCache.MAX_CACHED_SOURCE_FILES);
+
 /**
  * Resets the extra config object
  * @returns {void}
@@ -29,17 +41,211 @@ function resetExtra() {
         tokens: null,
         range: false,
         loc: false,
+        source: null,
         comment: false,
         comments: [],
         tolerant: false,
         errors: [],
+        declarationFile: false,
         strict: false,
         ecmaFeatures: {},
         useJSXTextNode: false,
+        flattenModuleIds: false,
+        useTypeAliasDeclaration: false,
+        shouldProvideParserServices: false,
+        projects: [],
+        compilerOptions: {},
+        filePath: null,
         log: console.log // eslint-disable-line no-console
     };
 }
 
+/**
+ * The ScriptKind to use for each of the file extensions which TypeScript supports.
+ * Declaration files (.d.ts) are handled by the .ts extension.
+ */
+const SCRIPT_KINDS = {
+    ".ts": ts.ScriptKind.TS,
+    ".tsx": ts.ScriptKind.TSX,
+    ".js": ts.ScriptKind.JS,
+    ".jsx": ts.ScriptKind.JSX
+};
+
+/**
+ * Returns the ScriptKind to use for the code being parsed, which is based on the
+ * extension of the file path when it has one that TypeScript supports
+ * @returns {number} the ScriptKind
+ */
+function getScriptKind() {
+    const extension = extra.filePath ? path.extname(extra.filePath).toLowerCase() : "";
+
+    if (extra.declarationFile) {
+        return ts.ScriptKind.TS;
+    }
+    if (SCRIPT_KINDS.hasOwnProperty(extension)) {
+        return SCRIPT_KINDS[extension];
+    }
+
+    // Even if jsx option is set in typescript compiler, filename still has to
+    // contain .tsx file extension
+    return (extra.ecmaFeatures.jsx) ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+}
+
+/**
+ * Returns the ScriptTarget to parse the code with, which is the latest one
+ * unless a target is given in the compilerOptions
+ * @returns {number} the ScriptTarget
+ */
+function getScriptTarget() {
+    return (typeof extra.compilerOptions.target === "number") ? extra.compilerOptions.target : ts.ScriptTarget.Latest;
+}
+
+/**
+ * The compiler options which only affect the output of the program, or how the
+ * files of a project are found, and which are not passed to isolated programs,
+ * which contain only the code being parsed and are never emitted
+ */
+const IGNORED_ISOLATED_PROGRAM_OPTIONS = [
+    "composite",
+    "declaration",
+    "declarationDir",
+    "declarationMap",
+    "emitDeclarationOnly",
+    "inlineSourceMap",
+    "inlineSources",
+    "mapRoot",
+    "out",
+    "outDir",
+    "outFile",
+    "project",
+    "rootDir",
+    "rootDirs",
+    "sourceMap",
+    "sourceRoot"
+];
+
+/**
+ * Returns the compiler options to create an isolated program with, which are the
+ * given ones which affect parsing and type checking
+ * @param {number} scriptKind the ScriptKind of the code being parsed
+ * @returns {Object} the compiler options
+ */
+function getIsolatedProgramOptions(scriptKind) {
+    const isJSX = (scriptKind === ts.ScriptKind.TSX || scriptKind === ts.ScriptKind.JSX);
+    const defaultJSX = isJSX ? ts.JsxEmit.Preserve : undefined;
+    const options = Object.keys(extra.compilerOptions)
+        .filter(name => IGNORED_ISOLATED_PROGRAM_OPTIONS.indexOf(name) === -1)
+        .reduce((result, name) => {
+            result[name] = extra.compilerOptions[name];
+            return result;
+        }, {});
+
+    // No other files are ever added to the program
+    return Object.assign(options, {
+        noResolve: true,
+        allowJs: true,
+        target: getScriptTarget(),
+        jsx: (typeof options.jsx === "number") ? options.jsx : defaultJSX
+    });
+}
+
+/**
+ * Returns the name to use for the SourceFile of the code being parsed
+ * @param {number} scriptKind the ScriptKind of the code being parsed
+ * @returns {string} the file name
+ */
+function getFileName(scriptKind) {
+    let extension = (scriptKind === ts.ScriptKind.TSX) ? ".tsx" : ".ts";
+
+    if (extra.declarationFile) {
+        extension = ".d.ts";
+    }
+
+    if (!extra.filePath) {
+        return `eslint${extension}`;
+    }
+
+    // TypeScript decides whether a file is a declaration file based on its name,
+    // and will not add files with an unsupported extension to a program
+    const hasExpectedExtension = extra.declarationFile
+        ? /\.d\.ts$/.test(extra.filePath)
+        : SCRIPT_KINDS.hasOwnProperty(path.extname(extra.filePath).toLowerCase());
+
+    return hasExpectedExtension ? extra.filePath : `${extra.filePath}${extension}`;
+}
+
+/**
+ * Creates a SourceFile for the given code, reusing the previous SourceFile
+ * for the same file path where possible
+ * @param {string} code TypeScript code
+ * @param {string} fileName the name to give to the SourceFile
+ * @param {number} scriptKind the ScriptKind of the code
+ * @returns {Object} the SourceFile
+ */
+function createSourceFile(code, fileName, scriptKind) {
+    if (extra.filePath) {
+        return sourceFileCache.getSourceFile(extra.filePath, fileName, code, getScriptTarget(), scriptKind);
+    }
+    return ts.createSourceFile(fileName, code, getScriptTarget(), true, scriptKind);
+}
+
+/**
+ * Creates a program containing only the given code, which can be used when
+ * no type information is required
+ * @param {string} code TypeScript code
+ * @returns {Object} the TypeScript program and the SourceFile for the given code
+ */
+function createIsolatedProgram(code) {
+    const SCRIPT_KIND = getScriptKind();
+    const FILENAME = getFileName(SCRIPT_KIND);
+    const NEW_LINE = /\r\n/.test(code) ? "\r\n" : "\n";
+
+    const compilerHost = {
+        fileExists() {
+            return true;
+        },
+        getCanonicalFileName() {
+            return FILENAME;
+        },
+        getCurrentDirectory() {
+            return "";
+        },
+        getDefaultLibFileName() {
+            return "lib.d.ts";
+        },
+
+        // Output which is emitted or formatted from the program keeps the line endings of the code
+        getNewLine() {
+            return NEW_LINE;
+        },
+        getSourceFile(filename) {
+
+            // The code being parsed is the only file in the program
+            return (filename === FILENAME) ? createSourceFile(code, filename, SCRIPT_KIND) : undefined;
+        },
+        readFile() {
+            return null;
+        },
+        useCaseSensitiveFileNames() {
+            return true;
+        },
+        writeFile() {
+            return null;
+        }
+    };
+
+    const program = ts.createProgram([FILENAME], getIsolatedProgramOptions(SCRIPT_KIND), compilerHost, extra.filePath ? isolatedPrograms.get(extra.filePath) : undefined);
+
+    if (extra.filePath) {
+        isolatedPrograms.set(extra.filePath, program);
+    }
+
+    return {
+        program,
+        ast: program.getSourceFile(FILENAME)
+    };
+}
+
 //------------------------------------------------------------------------------
 // Parser
 //------------------------------------------------------------------------------
@@ -49,7 +255,7 @@ function resetExtra() {
  * @param {mixed} code    TypeScript code
  * @param {Object} options configuration object for the parser
  * @param {Object} additionalParsingContext additional internal configuration
- * @returns {Object}         the AST
+ * @returns {Object}         the ESTree AST, the TypeScript program and the optional AST maps
  */
 function generateAST(code, options, additionalParsingContext) {
     additionalParsingContext = additionalParsingContext || {};
@@ -78,6 +284,7 @@ function generateAST(code, options, additionalParsingContext) {
             extra.comments = [];
         }
         if (typeof options.tolerant === "boolean" && options.tolerant) {
+            extra.tolerant = true;
             extra.errors = [];
         }
 
@@ -98,6 +305,59 @@ function generateAST(code, options, additionalParsingContext) {
             extra.useJSXTextNode = true;
         }
 
+        if (typeof options.flattenModuleIds === "boolean" && options.flattenModuleIds) {
+            extra.flattenModuleIds = true;
+        }
+
+        if (typeof options.useTypeAliasDeclaration === "boolean" && options.useTypeAliasDeclaration) {
+            extra.useTypeAliasDeclaration = true;
+        }
+
+        /**
+         * The path of the file being parsed, relative paths are resolved
+         * against the current working directory
+         */
+        if (typeof options.filePath === "string") {
+            extra.filePath = path.resolve(options.filePath);
+        }
+
+        /**
+         * Declaration files are parsed in an ambient context, files named *.d.ts
+         * are always treated as declaration files
+         */
+        if (
+            (typeof options.declarationFile === "boolean" && options.declarationFile) ||
+            (extra.filePath && /\.d\.ts$/.test(extra.filePath))
+        ) {
+            extra.declarationFile = true;
+        }
+
+        /**
+         * Allow the user to provide one or more tsconfig.json files, which will be used
+         * to create a program with full type information
+         */
+        if (typeof options.project === "string") {
+            extra.projects = [options.project];
+        } else if (Array.isArray(options.project)) {
+            extra.projects = options.project;
+        }
+        const tsconfigRootDir = (typeof options.tsconfigRootDir === "string") ? options.tsconfigRootDir : process.cwd();
+        if (extra.projects.length) {
+            extra.projects = extra.projects.map(project => path.resolve(tsconfigRootDir, project));
+        }
+
+        /**
+         * Allow the user to provide the TypeScript compiler options, or the path to a
+         * tsconfig.json file to read them from, which are used to parse the code and
+         * to create the program
+         */
+        if (
+            typeof options.compilerOptions === "string" ||
+            (options.compilerOptions && typeof options.compilerOptions === "object")
+        ) {
+            extra.compilerOptions = tsconfigParser.parseCompilerOptions(options.compilerOptions, path.resolve(tsconfigRootDir));
+        }
+
         /**
          * Allow the user to override the function used for logging
          */
@@ -116,6 +376,14 @@ function generateAST(code, options, additionalParsingContext) {
         }
     }
 
+    /**
+     * The relationships between TSNodes and ESTreeNodes are only needed
+     * when providing parser services to ESLint
+     */
+    if (additionalParsingContext.isParseForESLint) {
+        extra.shouldProvideParserServices = true;
+    }
+
     if (!isRunningSupportedTypeScriptVersion && !warnedAboutTSVersion) {
         const border = "=============";
         const versionWarning = [
@@ -131,52 +399,33 @@ function generateAST(code, options, additionalParsingContext) {
         warnedAboutTSVersion = true;
     }
 
-    // Even if jsx option is set in typescript compiler, filename still has to
-    // contain .tsx file extension
-    const FILENAME = (extra.ecmaFeatures.jsx) ? "eslint.tsx" : "eslint.ts";
+    let result;
 
-    const compilerHost = {
-        fileExists() {
-            return true;
-        },
-        getCanonicalFileName() {
-            return FILENAME;
-        },
-        getCurrentDirectory() {
-            return "";
-        },
-        getDefaultLibFileName() {
-            return "lib.d.ts";
-        },
+    if (extra.projects.length) {
+        result = tsconfigParser.createProjectProgram(code, extra);
+    } else if (extra.shouldProvideParserServices) {
+        result = createIsolatedProgram(code);
+    } else {
 
-        // TODO: Support Windows CRLF
-        getNewLine() {
-            return "\n";
-        },
-        getSourceFile(filename) {
-            return ts.createSourceFile(filename, code, ts.ScriptTarget.Latest, true);
-        },
-        readFile() {
-            return null;
-        },
-        useCaseSensitiveFileNames() {
-            return true;
-        },
-        writeFile() {
-            return null;
-        }
-    };
-
-    const program = ts.createProgram([FILENAME], {
-        noResolve: true,
-        target: ts.ScriptTarget.Latest,
-        jsx: extra.ecmaFeatures.jsx ? "preserve" : undefined
-    }, compilerHost);
-
-    const ast = program.getSourceFile(FILENAME);
+        /**
+         * No semantic information has been requested, so there is no need to
+         * create a program just to get hold of the SourceFile
+         */
+        const scriptKind = getScriptKind();
+        result = {
+            program: null,
+            ast: createSourceFile(code, getFileName(scriptKind), scriptKind)
+        };
+    }
 
     extra.code = code;
-    return convert(ast, extra);
+    const converted = convert(result.ast, extra);
+
+    return {
+        estree: converted.estree,
+        program: result.program,
+        astMaps: converted.astMaps
+    };
 }
 
 //------------------------------------------------------------------------------
@@ -185,13 +434,32 @@ function generateAST(code, options, additionalParsingContext) {
 
 exports.version = require("./package.json").version;
 
+/**
+ * Removes all of the SourceFiles and programs which have been cached between parses
+ * @returns {void}
+ */
+exports.clearCaches = function clearCaches() {
+    isolatedPrograms.clear();
+    tsconfigParser.clearCache();
+    sourceFileCache.clear();
+};
+
 exports.parse = function parse(code, options) {
-    return generateAST(code, options, { isParseForESLint: false });
+    return generateAST(code, options, { isParseForESLint: false }).estree;
 };
 
 exports.parseForESLint = function parseForESLint(code, options) {
-    const ast = generateAST(code, options, { isParseForESLint: true });
-    return { ast };
+    const result = generateAST(code, options, { isParseForESLint: true });
+    return {
+        ast: result.estree,
+        services: {
+            program: result.program,
+            esTreeNodeToTSNodeMap: result.astMaps.esTreeNodeToTSNodeMap,
+            tsNodeToESTreeNodeMap: result.astMaps.tsNodeToESTreeNodeMap
+        },
+        scopeManager: analyzeScope(result.estree, options),
+        visitorKeys
+    };
 };
 
 // Deep copy.
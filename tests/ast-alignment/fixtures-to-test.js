@@ -446,7 +446,38 @@ let fixturePatternConfigsToTest = [
             /**
              * currently babylon not supported
              */
-            "tagged-template-expression-type-arguments"
+            "tagged-template-expression-type-arguments",
+            /**
+             * Both parsers are run with JSX enabled, which does not allow angle bracket type assertions
+             */
+            "type-assertion-expression"
+        ]
+    }),
+
+    createFixturePatternConfigFor("typescript/types", {
+        fileType: "ts",
+        ignore: [
+            /**
+             * currently babylon not supported
+             */
+            "conditional-infer",
+            "conditional-nested",
+            "conditional",
+            "mapped-readonly-minus",
+            "mapped-readonly-plus",
+            "tuple-optional",
+            /**
+             * Babylon: StringLiteral, NumericLiteral and BooleanLiteral, with negative numbers as a NumericLiteral
+             * tsep: Literal, with negative numbers as a UnaryExpression
+             */
+            "indexed-literal",
+            "literal",
+            /**
+             * Babylon: TSParenthesizedType
+             * tsep: the parenthesized type itself, as produced by later versions of babylon
+             */
+            "parenthesized-intersection",
+            "parenthesized"
         ]
     }),
 
@@ -480,7 +511,22 @@ let fixturePatternConfigsToTest = [
              * Babylon: TSDeclareFunction
              * tsep: TSNamespaceFunctionDeclaration
              */
-            "declare-namespace-with-exported-function"
+            "declare-namespace-with-exported-function",
+            /**
+             * Babylon: TSInterfaceDeclaration
+             * tsep: TSInterfaceDeclaration + abstract + heritage
+             */
+            "global-module-declaration",
+            /**
+             * Babylon: StringLiteral
+             * tsep: Literal
+             */
+            "import-equals-require",
+            /**
+             * Babylon: TSDeclareFunction + declare: true
+             * tsep: DeclareFunction
+             */
+            "umd-export-as-namespace-with-declarations"
         ]
     })
 ];
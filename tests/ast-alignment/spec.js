@@ -66,14 +66,16 @@ fixturesToTest.forEach(fixture => {
         expect(babylonTypeScriptPluginResult.ast).toBeTruthy();
         expect(typeScriptESLintParserResult.ast).toBeTruthy();
         /**
-         * Perform some extra formatting steps on the babylon AST before comparing
+         * Perform some extra formatting steps on both ASTs before comparing
          */
         expect(
             parseUtils.removeLocationDataFromProgramNode(
                 parseUtils.preprocessBabylonAST(babylonTypeScriptPluginResult.ast)
             )
         ).toEqual(
-            parseUtils.removeLocationDataFromProgramNode(typeScriptESLintParserResult.ast)
+            parseUtils.removeLocationDataFromProgramNode(
+                parseUtils.preprocessTypeScriptESLintParserAST(typeScriptESLintParserResult.ast)
+            )
         );
     });
 
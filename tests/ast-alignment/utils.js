@@ -131,6 +131,26 @@ function preprocessBabylonAST(ast) {
     ]);
 }
 
+/**
+ * Removes the properties which typescript-eslint-parser adds to nodes, but which
+ * Babylon does not produce, from the given node and all of its descendants:
+ * - "kind" on TSModuleDeclaration nodes ("global" is produced by both parsers)
+ *
+ * @param {Object} ast raw typescript-eslint-parser AST
+ * @returns {Object} processed typescript-eslint-parser AST
+ */
+function preprocessTypeScriptESLintParserAST(ast) {
+    if (Array.isArray(ast)) {
+        ast.forEach(preprocessTypeScriptESLintParserAST);
+    } else if (isPlainObject(ast)) {
+        if (ast.type === "TSModuleDeclaration") {
+            delete ast.kind;
+        }
+        Object.keys(ast).forEach(key => preprocessTypeScriptESLintParserAST(ast[key]));
+    }
+    return ast;
+}
+
 /**
  * There is currently a really awkward difference in location data for Program nodes
  * between different parsers in the ecosystem. Hack around this by removing the data
@@ -150,5 +170,6 @@ function removeLocationDataFromProgramNode(ast) {
 module.exports = {
     normalizeNodeTypes,
     preprocessBabylonAST,
+    preprocessTypeScriptESLintParserAST,
     removeLocationDataFromProgramNode
 };
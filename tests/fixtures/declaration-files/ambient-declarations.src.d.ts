@@ -0,0 +1,5 @@
+declare const foo: number;
+declare function bar(baz: string): void;
+declare class Qux {
+    method(): void;
+}
@@ -0,0 +1,3 @@
+declare module "foo" {
+    export function bar(baz: string): number;
+}
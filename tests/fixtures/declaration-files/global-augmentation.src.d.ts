@@ -0,0 +1,7 @@
+declare global {
+    interface Window {
+        foo: string;
+    }
+}
+
+export {};
@@ -0,0 +1,3 @@
+export as namespace MyLib;
+
+export declare function foo(): void;
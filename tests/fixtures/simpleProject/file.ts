@@ -0,0 +1,3 @@
+import { getValue } from "./imported";
+
+export const value = getValue();
@@ -0,0 +1,3 @@
+export function getValue(): Promise<string> {
+    return Promise.resolve("value");
+}
@@ -0,0 +1,4 @@
+const foo = <>
+    <div />
+    text {bar}
+</>;
@@ -0,0 +1 @@
+const foo = <div><><span /></></div>;
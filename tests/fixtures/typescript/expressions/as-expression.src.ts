@@ -0,0 +1,3 @@
+const foo = bar as string;
+(baz as Qux<number>).method();
+const quux = corge as any as number;
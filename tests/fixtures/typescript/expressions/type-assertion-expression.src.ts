@@ -0,0 +1,3 @@
+const foo = <string>bar;
+(<Qux<number>>baz).method();
+const quux = <number><any>corge;
@@ -0,0 +1,3 @@
+namespace foo {
+    export import bar = baz.qux;
+}
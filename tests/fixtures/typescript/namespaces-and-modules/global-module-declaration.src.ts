@@ -0,0 +1,5 @@
+declare global {
+    interface Window {
+        foo: string;
+    }
+}
@@ -0,0 +1,2 @@
+import foo = bar;
+import baz = qux.quux.corge;
@@ -0,0 +1 @@
+import foo = require("bar");
@@ -0,0 +1,3 @@
+module foo {
+    export const bar = 1;
+}
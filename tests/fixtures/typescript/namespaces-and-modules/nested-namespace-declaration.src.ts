@@ -0,0 +1,3 @@
+namespace foo.bar.baz {
+    export const qux = 1;
+}
@@ -0,0 +1,3 @@
+export as namespace foo;
+
+export declare function bar(): void;
@@ -0,0 +1 @@
+export as namespace foo;
@@ -0,0 +1 @@
+let x: T extends Array<infer U> ? U : never;
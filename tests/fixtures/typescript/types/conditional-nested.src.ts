@@ -0,0 +1 @@
+let x: T extends string ? T extends boolean ? never : T : T extends number ? T : never;
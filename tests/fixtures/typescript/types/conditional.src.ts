@@ -0,0 +1 @@
+let x: number extends string ? boolean : string;
@@ -0,0 +1 @@
+let x: A & B & C;
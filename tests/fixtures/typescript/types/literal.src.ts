@@ -0,0 +1 @@
+let x: "a" | 1 | true | -1;
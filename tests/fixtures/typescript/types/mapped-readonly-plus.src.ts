@@ -0,0 +1 @@
+let map: { +readonly [P in keyof T]+?: number };
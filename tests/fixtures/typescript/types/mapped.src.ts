@@ -0,0 +1 @@
+let map: { [P in string]: number };
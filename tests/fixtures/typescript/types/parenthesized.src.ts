@@ -0,0 +1,2 @@
+let x: (A | B)[];
+let y: (string & number)[];
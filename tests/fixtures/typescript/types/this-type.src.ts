@@ -0,0 +1,5 @@
+class Foo {
+    method(): this {
+        return this;
+    }
+}
@@ -0,0 +1 @@
+let foo: Map<{ bar: string }, string[] | number>;
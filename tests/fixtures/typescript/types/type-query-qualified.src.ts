@@ -0,0 +1 @@
+let x: typeof y.z.w;
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Tests for parsing declaration files
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const path = require("path"),
+    shelljs = require("shelljs"),
+    testUtils = require("../../tools/test-utils");
+
+//------------------------------------------------------------------------------
+// Setup
+//------------------------------------------------------------------------------
+
+const DECLARATION_FILES_FIXTURES_DIR = "./tests/fixtures/declaration-files";
+
+const testFiles = shelljs.find(DECLARATION_FILES_FIXTURES_DIR)
+    .filter(filename => filename.indexOf(".src.d.ts") > -1)
+    // strip off ".src.d.ts"
+    .map(filename => filename.substring(DECLARATION_FILES_FIXTURES_DIR.length - 1, filename.length - 9));
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("declaration files", () => {
+    testFiles.forEach(filename => {
+        const code = shelljs.cat(`${path.resolve(DECLARATION_FILES_FIXTURES_DIR, filename)}.src.d.ts`);
+        const config = {
+            loc: true,
+            range: true,
+            tokens: true,
+            errorOnUnknownASTType: true,
+            declarationFile: true
+        };
+        test(`fixtures/${filename}.src`, testUtils.createSnapshotTestBlock(code, config));
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Tests for parsing code with "\r\n" and "\r" line endings
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const shelljs = require("shelljs"),
+    parser = require("../../parser");
+
+//------------------------------------------------------------------------------
+// Setup
+//------------------------------------------------------------------------------
+
+const FIXTURES_DIRS = {
+    "./tests/fixtures/basics": {},
+    "./tests/fixtures/comments": { ecmaFeatures: { jsx: true } },
+    "./tests/fixtures/ecma-features": {},
+    "./tests/fixtures/jsx": { ecmaFeatures: { jsx: true } },
+    "./tests/fixtures/jsx-useJSXTextNode": { useJSXTextNode: true, ecmaFeatures: { jsx: true } },
+    "./tests/fixtures/tsx": { useJSXTextNode: true, ecmaFeatures: { jsx: true } },
+    "./tests/fixtures/typescript": {},
+    "./tests/fixtures/declaration-files": { declarationFile: true }
+};
+
+const LINE_ENDINGS = {
+    CRLF: "\r\n",
+    CR: "\r"
+};
+
+/**
+ * Normalizes the line endings of the given text to "\n"
+ * @param {string} text the text
+ * @returns {string} the normalized text
+ */
+function normalizeLineEndings(text) {
+    return text.replace(/\r\n?/g, "\n");
+}
+
+/**
+ * Replaces the ranges in the given AST with the code they cover, and
+ * normalizes the line endings of every string, so that ASTs parsed from code
+ * with different line endings can be compared
+ * @param {*} value the AST, or a value within it
+ * @param {string} code the code which was parsed
+ * @returns {*} the normalized value
+ */
+function normalize(value, code) {
+    if (typeof value === "string") {
+        return normalizeLineEndings(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(element => normalize(element, code));
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+    return Object.keys(value).reduce((result, key) => {
+        result[key] = key === "range"
+            ? normalizeLineEndings(code.slice(value.range[0], value.range[1]))
+            : normalize(value[key], code);
+        return result;
+    }, {});
+}
+
+/**
+ * Parses the given code, and returns the normalized AST, or the normalized
+ * error without its indexes when the code is invalid
+ * @param {string} code the code to parse
+ * @param {Object} options the parser options
+ * @returns {Object} the normalized AST or error
+ */
+function parse(code, options) {
+    try {
+        return normalize(parser.parse(code, options), code);
+    } catch (error) {
+        const result = normalize(error, code);
+
+        delete result.index;
+        delete result.endIndex;
+        return result;
+    }
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("line endings", () => {
+
+    it("should normalize the raw values of template elements", () => {
+        const ast = parser.parse("`foo\r\nbar\r${baz}\r\nqux`;");
+
+        expect(ast.body[0].expression.quasis.map(quasi => quasi.value)).toEqual([
+            { raw: "foo\nbar\n", cooked: "foo\nbar\n" },
+            { raw: "\nqux", cooked: "\nqux" }
+        ]);
+    });
+
+    it("should keep the line endings of JSX text", () => {
+        const ast = parser.parse("<div>\r\n    foo\r\n</div>;", { loc: true, ecmaFeatures: { jsx: true }, useJSXTextNode: true });
+        const text = ast.body[0].expression.children[0];
+
+        expect(text.value).toBe("\r\n    foo\r\n");
+        expect(text.raw).toBe("\r\n    foo\r\n");
+        expect(text.loc.end).toEqual({ line: 3, column: 0 });
+    });
+
+    it("should count lone \"\\r\" as a line ending in tokens and comments", () => {
+        const ast = parser.parse("foo;\r// bar\rbaz;", { tokens: true, comment: true, loc: true });
+
+        expect(ast.comments[0].loc).toEqual({ start: { line: 2, column: 0 }, end: { line: 2, column: 6 } });
+        expect(ast.tokens[2].loc).toEqual({ start: { line: 3, column: 0 }, end: { line: 3, column: 3 } });
+    });
+
+    Object.keys(FIXTURES_DIRS).forEach(fixturesDir => {
+        const testFiles = shelljs.find(fixturesDir).filter(filename => /\.src\.[a-z.]+$/.test(filename));
+
+        Object.keys(LINE_ENDINGS).forEach(lineEnding => {
+            describe(lineEnding, () => {
+                testFiles.forEach(filename => {
+                    it(`should have the same locations in ${filename}`, () => {
+                        const code = shelljs.cat(filename).toString();
+                        const options = Object.assign({
+                            loc: true,
+                            range: true,
+                            tokens: true,
+                            comment: true
+                        }, FIXTURES_DIRS[fixturesDir]);
+
+                        expect(parse(code.replace(/\r?\n/g, LINE_ENDINGS[lineEnding]), options))
+                            .toEqual(parse(code, options));
+                    });
+                });
+            });
+        });
+    });
+});
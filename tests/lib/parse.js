@@ -12,7 +12,11 @@
 // Requirements
 //------------------------------------------------------------------------------
 
-const parser = require("../../parser"),
+const path = require("path"),
+    shelljs = require("shelljs"),
+    parser = require("../../parser"),
+    ts = require("typescript"),
+    sourceFileCache = require("../../lib/source-file-cache"),
     testUtils = require("../../tools/test-utils");
 
 //------------------------------------------------------------------------------
@@ -60,5 +64,649 @@ describe("parse()", () => {
 
     });
 
+    describe("location options", () => {
+
+        const code = "let foo: string = bar; // comment";
+
+        test("output only ranges when called without loc", testUtils.createSnapshotTestBlock(code, {
+            comment: true,
+            tokens: true,
+            range: true
+        }));
+
+        test("output only locs when called without range", testUtils.createSnapshotTestBlock(code, {
+            comment: true,
+            tokens: true,
+            loc: true
+        }));
+
+        test("output neither locs nor ranges when called without either", testUtils.createSnapshotTestBlock(code, {
+            comment: true,
+            tokens: true
+        }));
+
+        it("should not compute locs when called without loc", () => {
+            const getLineAndCharacterOfPosition = jest.spyOn(ts, "getLineAndCharacterOfPosition");
+
+            parser.parse("export class Foo { constructor() { new.target; } }\nconst bar = <div baz={qux} />; // comment", {
+                comment: true,
+                tokens: true,
+                range: true,
+                ecmaFeatures: { jsx: true }
+            });
+            expect(getLineAndCharacterOfPosition).not.toHaveBeenCalled();
+            getLineAndCharacterOfPosition.mockRestore();
+        });
+
+        test("output the source in each loc when called with source", testUtils.createSnapshotTestBlock(code, {
+            comment: true,
+            tokens: true,
+            loc: true,
+            source: "foo.ts"
+        }));
+
+        it("should ignore the source when called without loc", () => {
+            const ast = parser.parse(code, { range: true, source: "foo.ts" });
+            expect(ast.loc).toBeUndefined();
+        });
+
+    });
+
+    describe("tolerant mode", () => {
+
+        const code = "const foo = ;\nlet bar: = 1;";
+
+        it("should throw the first error when not in tolerant mode", () => {
+            expect(() => parser.parse(code, { range: true, loc: true })).toThrow();
+        });
+
+        it("should collect all of the errors and return the converted AST", () => {
+            const ast = parser.parse(code, { range: true, loc: true, tolerant: true });
+
+            expect(ast.type).toEqual("Program");
+            expect(ast.body.map(statement => statement.type)).toEqual(["VariableDeclaration", "VariableDeclaration"]);
+            expect(ast.errors.length).toEqual(2);
+            expect(ast.errors[0]).toEqual(expect.objectContaining({
+                index: 12,
+                lineNumber: 1,
+                column: 12,
+                endIndex: 13,
+                endLineNumber: 1,
+                endColumn: 13,
+                code: 1109,
+                category: "error",
+                message: "Expression expected."
+            }));
+            expect(ast.errors[1]).toEqual(expect.objectContaining({
+                index: 23,
+                lineNumber: 2,
+                column: 9,
+                endIndex: 24,
+                endLineNumber: 2,
+                endColumn: 10,
+                code: 1110,
+                category: "error",
+                message: "Type expected."
+            }));
+        });
+
+        it("should return an empty array of errors for valid code", () => {
+            const ast = parser.parse("const foo = 1;", { tolerant: true });
+            expect(ast.errors).toEqual([]);
+        });
+
+        it("should collect the errors reported by the converter", () => {
+            const ast = parser.parse("class A extends B, C {}\nlet x = ;", { range: true, loc: true, tolerant: true });
+
+            expect(ast.body.map(statement => statement.type)).toEqual(["ClassDeclaration", "VariableDeclaration"]);
+            expect(ast.body[0].superClass.name).toEqual("B");
+            expect(ast.errors.map(error => error.message)).toEqual([
+                "Classes can only extend a single class.",
+                "Expression expected."
+            ]);
+            expect(ast.errors[0]).toEqual(expect.objectContaining({ index: 18, endIndex: 20, code: 1174 }));
+        });
+
+        it("should convert incomplete type arguments", () => {
+            const ast = parser.parse("var a: Array<Array<string>", { range: true, loc: true, tokens: true, tolerant: true });
+            const typeAnnotation = ast.body[0].declarations[0].id.typeAnnotation.typeAnnotation;
+
+            expect(typeAnnotation.typeParameters.range).toEqual([12, 26]);
+            expect(ast.errors.map(error => error.message)).toEqual(["'>' expected."]);
+        });
+
+        it("should convert incomplete interface heritage clauses", () => {
+            const ast = parser.parse("interface Foo extends {", { range: true, loc: true, tokens: true, tolerant: true });
+
+            expect(ast.body[0].type).toEqual("TSInterfaceDeclaration");
+            expect(ast.body[0].body.range).toEqual([22, 23]);
+            expect(ast.errors.map(error => error.message)).toEqual(["'}' expected."]);
+        });
+
+        it("should convert decorators and modifiers outside of a class", () => {
+            const ast = parser.parse("ass C {\n @Foo(false)\n static staticMethod() {}\n}", { range: true, loc: true, tokens: true, tolerant: true });
+
+            expect(ast.body.map(statement => statement.type)).toEqual(["ExpressionStatement", "ExpressionStatement", "BlockStatement"]);
+            expect(ast.errors.map(error => error.message)).toEqual([
+                "';' expected.",
+                "';' expected.",
+                "Declaration expected.",
+                "';' expected."
+            ]);
+        });
+
+        it("should include the errors in the AST returned by parseForESLint()", () => {
+            const ast = parser.parseForESLint(code, { range: true, loc: true, tolerant: true }).ast;
+            expect(ast.errors.length).toEqual(2);
+        });
+
+    });
+
+    describe("module declarations", () => {
+
+        const code = "namespace foo.bar.baz {\n    export const qux = 1;\n}";
+
+        test("output nested declarations for qualified names by default", testUtils.createSnapshotTestBlock(code, {
+            range: true,
+            loc: true
+        }));
+
+        test("output a single declaration with a qualified name when called with flattenModuleIds", testUtils.createSnapshotTestBlock(code, {
+            range: true,
+            loc: true,
+            flattenModuleIds: true
+        }));
+
+    });
+
+    describe("type alias declarations", () => {
+
+        const code = "export type Foo<T> = Bar<T> | string;\ndeclare type Baz = number;";
+
+        test("output variable declarations by default", testUtils.createSnapshotTestBlock(code, {
+            range: true,
+            loc: true
+        }));
+
+        test("output type alias declarations when called with useTypeAliasDeclaration", testUtils.createSnapshotTestBlock(code, {
+            range: true,
+            loc: true,
+            useTypeAliasDeclaration: true
+        }));
+
+    });
+
+    describe("errors", () => {
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        /**
+         * Returns the error thrown when parsing the given code
+         * @param {string} code the code to parse
+         * @returns {Object} the thrown error
+         */
+        function getError(code) {
+            try {
+                parser.parse(code);
+            } catch (e) {
+                return e;
+            }
+            throw new Error("Expected the code to fail to parse");
+        }
+
+        it("should include the diagnostic code, category and end position of syntax errors", () => {
+            expect(getError("const foo = bar(;")).toEqual({
+                index: 16,
+                lineNumber: 1,
+                column: 16,
+                endIndex: 17,
+                endLineNumber: 1,
+                endColumn: 17,
+                code: 1005,
+                category: "error",
+                message: "')' expected."
+            });
+        });
+
+        it("should flatten chained diagnostic messages", () => {
+            const sourceFile = ts.createSourceFile("eslint.ts", "const foo = ;", ts.ScriptTarget.Latest, true);
+            const diagnostic = sourceFile.parseDiagnostics[0];
+            const messageText = diagnostic.messageText;
+
+            diagnostic.messageText = ts.chainDiagnosticMessages(
+                { messageText, next: undefined, code: diagnostic.code, category: diagnostic.category },
+                { key: "", code: 0, category: ts.DiagnosticCategory.Error, message: "Chained message." }
+            );
+            jest.spyOn(ts, "createSourceFile").mockReturnValueOnce(sourceFile);
+
+            expect(getError("const foo = ;").message).toEqual(`Chained message.\n  ${messageText}`);
+        });
+
+        it("should include the diagnostic code, category and end position of errors reported by the converter", () => {
+            expect(getError("class A extends B, C {}")).toEqual(expect.objectContaining({
+                index: 18,
+                endIndex: 20,
+                code: 1174,
+                category: "error",
+                message: "Classes can only extend a single class."
+            }));
+        });
+
+    });
+
+    describe("program creation", () => {
+
+        const code = "const foo = (bar: string) => bar;";
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it("should not create a program for a purely syntactic parse", () => {
+            const createProgram = jest.spyOn(ts, "createProgram");
+            const ast = parser.parse(code, { range: true, loc: true });
+
+            expect(createProgram).not.toHaveBeenCalled();
+            expect(ast.body[0].declarations[0].init.type).toEqual("ArrowFunctionExpression");
+        });
+
+        it("should produce the same AST with and without creating a program", () => {
+            const config = { range: true, loc: true, tokens: true, comment: true };
+
+            expect(parser.parse(code, config)).toEqual(parser.parseForESLint(code, config).ast);
+        });
+
+    });
+
+    describe("parser services", () => {
+
+        const code = "export const foo = (bar: string) => bar;";
+        const config = {
+            range: true,
+            loc: true
+        };
+
+        it("should not be provided by parse()", () => {
+            const ast = parser.parse(code, config);
+            expect(ast.services).toBeUndefined();
+        });
+
+        it("should provide the program which was used to produce the AST", () => {
+            const services = parser.parseForESLint(code, config).services;
+            expect(services.program).toBeDefined();
+            expect(typeof services.program.getTypeChecker).toEqual("function");
+        });
+
+        it("should map ESTree nodes to TypeScript nodes and back again", () => {
+            const result = parser.parseForESLint(code, config);
+            const ast = result.ast;
+            const services = result.services;
+
+            const sourceFile = services.esTreeNodeToTSNodeMap.get(ast);
+            expect(sourceFile.kind).toEqual(ts.SyntaxKind.SourceFile);
+            expect(services.program.getSourceFiles()).toContain(sourceFile);
+            expect(services.tsNodeToESTreeNodeMap.get(sourceFile)).toBe(ast);
+
+            const arrowFunction = ast.body[0].declaration.declarations[0].init;
+            const tsArrowFunction = services.esTreeNodeToTSNodeMap.get(arrowFunction);
+            expect(tsArrowFunction.kind).toEqual(ts.SyntaxKind.ArrowFunction);
+            expect(services.tsNodeToESTreeNodeMap.get(tsArrowFunction)).toBe(arrowFunction);
+        });
+
+        it("should map exported declarations to the original TypeScript node", () => {
+            const result = parser.parseForESLint(code, config);
+            const exportNamedDeclaration = result.ast.body[0];
+            const tsVariableStatement = result.services.esTreeNodeToTSNodeMap.get(exportNamedDeclaration.declaration);
+
+            expect(tsVariableStatement.kind).toEqual(ts.SyntaxKind.VariableStatement);
+            expect(result.services.esTreeNodeToTSNodeMap.get(exportNamedDeclaration)).toBe(tsVariableStatement);
+        });
+
+        it("should map the type arguments of type references", () => {
+            const result = parser.parseForESLint("let x: Map<Foo, string>;", config);
+            const typeArguments = result.ast.body[0].declarations[0].id.typeAnnotation.typeAnnotation.typeParameters.params;
+
+            expect(typeArguments.map(typeArgument => result.services.esTreeNodeToTSNodeMap.get(typeArgument).kind))
+                .toEqual([ts.SyntaxKind.TypeReference, ts.SyntaxKind.StringKeyword]);
+            typeArguments.forEach(typeArgument => {
+                expect(result.services.tsNodeToESTreeNodeMap.get(result.services.esTreeNodeToTSNodeMap.get(typeArgument))).toBe(typeArgument);
+            });
+        });
+
+        it("should map decorators and type parameters", () => {
+            const result = parser.parseForESLint("@dec class A { m<T>(a: T) {} }", config);
+            const classDeclaration = result.ast.body[0];
+            const decorator = result.services.esTreeNodeToTSNodeMap.get(classDeclaration.decorators[0]);
+            const typeParameter = result.services.esTreeNodeToTSNodeMap.get(classDeclaration.body.body[0].value.typeParameters.params[0]);
+
+            expect(decorator.kind).toEqual(ts.SyntaxKind.Decorator);
+            expect(typeParameter.kind).toEqual(ts.SyntaxKind.TypeParameter);
+            expect(result.services.tsNodeToESTreeNodeMap.get(typeParameter)).toBe(classDeclaration.body.body[0].value.typeParameters.params[0]);
+        });
+
+        it("should map every node which has a TypeScript counterpart in both directions", () => {
+            const fixtures = {
+                "./tests/fixtures/ecma-features": {},
+                "./tests/fixtures/jsx": { ecmaFeatures: { jsx: true } },
+                "./tests/fixtures/tsx": { ecmaFeatures: { jsx: true } },
+                "./tests/fixtures/typescript": {}
+            };
+
+            /**
+             * These nodes are created for parts of the code which have no node of their
+             * own in the TypeScript AST, such as arrays of nodes
+             */
+            const typesWithoutCounterpart = [
+                "ClassBody",
+                "JSXEmptyExpression",
+                "TSInterfaceBody",
+                "TSTypeAnnotation",
+                "TSTypeParameterDeclaration",
+                "TSTypeParameterInstantiation"
+            ];
+            const unmappedNodes = [];
+
+            /**
+             * Collects the nodes in the given AST which are not mapped to a TypeScript
+             * node, or whose TypeScript node is not mapped back to an ESTree node
+             * @param {*} value the AST, or a value within it
+             * @param {string} key the key of the value in its parent node
+             * @param {Object} services the parser services
+             * @param {string} filename the name of the fixture file
+             * @returns {void}
+             */
+            function collectUnmappedNodes(value, key, services, filename) {
+                if (Array.isArray(value)) {
+                    value.forEach(element => collectUnmappedNodes(element, key, services, filename));
+                    return;
+                }
+                if (!value || typeof value.type !== "string") {
+                    return;
+                }
+
+                // The "new" of "new.target" is a keyword rather than a node
+                const hasCounterpart = typesWithoutCounterpart.indexOf(value.type) === -1 && key !== "meta";
+
+                if (hasCounterpart && !services.tsNodeToESTreeNodeMap.has(services.esTreeNodeToTSNodeMap.get(value))) {
+                    unmappedNodes.push(`${value.type} in ${filename}`);
+                }
+                Object.keys(value)
+                    .filter(childKey => childKey !== "loc" && childKey !== "range")
+                    .forEach(childKey => collectUnmappedNodes(value[childKey], childKey, services, filename));
+            }
+
+            Object.keys(fixtures).forEach(fixturesDir => {
+                shelljs.find(fixturesDir).filter(filename => /\.src\.(?:js|ts|tsx)$/.test(filename)).forEach(filename => {
+                    const options = Object.assign({ range: true }, fixtures[fixturesDir]);
+                    let result;
+
+                    // Fixtures of invalid code are skipped
+                    try {
+                        result = parser.parseForESLint(shelljs.cat(filename).toString(), options);
+                    } catch (error) {
+                        return;
+                    }
+                    collectUnmappedNodes(result.ast, null, result.services, filename);
+                });
+            });
+
+            expect(unmappedNodes).toEqual([]);
+        });
+
+        it("should map parenthesized types to the type within the parentheses", () => {
+            const result = parser.parseForESLint("let foo: (string | number)[];", config);
+            const unionType = result.ast.body[0].declarations[0].id.typeAnnotation.typeAnnotation.elementType;
+            const tsUnionType = result.services.esTreeNodeToTSNodeMap.get(unionType);
+
+            expect(tsUnionType.kind).toEqual(ts.SyntaxKind.UnionType);
+            expect(tsUnionType.parent.kind).toEqual(ts.SyntaxKind.ParenthesizedType);
+            expect(result.services.tsNodeToESTreeNodeMap.get(tsUnionType.parent)).toBe(unionType);
+        });
+
+    });
+
+    describe("file path", () => {
+
+        const code = "const foo = <Foo>bar;";
+
+        /**
+         * Returns the SourceFile which was used to produce the AST for the given code
+         * @param {Object} options the parser options
+         * @returns {Object} the TypeScript SourceFile
+         */
+        function getSourceFile(options) {
+            const result = parser.parseForESLint("const foo = bar;", options);
+            return result.services.esTreeNodeToTSNodeMap.get(result.ast);
+        }
+
+        /**
+         * Returns the type of the initializer in the parsed code
+         * @param {Object} options the parser options
+         * @returns {string} the ESTree node type
+         */
+        function getInitType(options) {
+            return parser.parse(code, options).body[0].declarations[0].init.type;
+        }
+
+        beforeEach(() => {
+            parser.clearCaches();
+        });
+
+        it("should use the file path as the name of the SourceFile", () => {
+            expect(getSourceFile({ filePath: "file-path-test.ts" }).fileName).toEqual(path.resolve("file-path-test.ts"));
+        });
+
+        it("should choose the script kind based on the file extension", () => {
+            expect(getSourceFile({ filePath: "file-path-test.ts" }).scriptKind).toEqual(ts.ScriptKind.TS);
+            expect(getSourceFile({ filePath: "file-path-test.d.ts" }).scriptKind).toEqual(ts.ScriptKind.TS);
+            expect(getSourceFile({ filePath: "file-path-test.tsx" }).scriptKind).toEqual(ts.ScriptKind.TSX);
+            expect(getSourceFile({ filePath: "file-path-test.js" }).scriptKind).toEqual(ts.ScriptKind.JS);
+            expect(getSourceFile({ filePath: "file-path-test.jsx" }).scriptKind).toEqual(ts.ScriptKind.JSX);
+        });
+
+        it("should parse angle bracket type assertions in .ts files regardless of the jsx option", () => {
+            expect(getInitType({ filePath: "file-path-test.ts", ecmaFeatures: { jsx: true } })).toEqual("TSTypeAssertionExpression");
+        });
+
+        it("should parse JSX in .tsx files regardless of the jsx option", () => {
+            expect(() => getInitType({ filePath: "file-path-test.tsx", ecmaFeatures: { jsx: false } }))
+                .toThrow("JSX element 'Foo' has no corresponding closing tag.");
+        });
+
+        it("should parse files named *.d.ts as declaration files", () => {
+            expect(getSourceFile({ filePath: "file-path-test.d.ts" }).isDeclarationFile).toBe(true);
+            expect(parser.parse("declare const foo: string;", { filePath: "file-path-test.d.ts" }).isDeclarationFile).toBe(true);
+        });
+
+        it("should parse files as declaration files when called with declarationFile", () => {
+            expect(getSourceFile({ filePath: "file-path-test.ts", declarationFile: true }).fileName).toEqual(path.resolve("file-path-test.ts.d.ts"));
+            expect(getSourceFile({ declarationFile: true }).isDeclarationFile).toBe(true);
+        });
+
+        it("should not mark other files as declaration files", () => {
+            expect(getSourceFile({ filePath: "file-path-test.ts" }).isDeclarationFile).toBe(false);
+            expect(parser.parse("declare const foo: string;", { filePath: "file-path-test.ts" }).isDeclarationFile).toBeUndefined();
+        });
+
+        it("should use the jsx option for files with an unsupported extension", () => {
+            expect(getInitType({ filePath: "file-path-test.vue" })).toEqual("TSTypeAssertionExpression");
+            expect(getSourceFile({ filePath: "file-path-test.vue" }).fileName).toEqual(path.resolve("file-path-test.vue.ts"));
+            expect(getSourceFile({ filePath: "file-path-test.vue", ecmaFeatures: { jsx: true } }).scriptKind).toEqual(ts.ScriptKind.TSX);
+        });
+
+    });
+
+    describe("compiler options", () => {
+
+        /**
+         * Returns the program which was used to produce the AST, and the SourceFile of the code
+         * @param {Object} options the parser options
+         * @returns {Object} the TypeScript program and SourceFile
+         */
+        function parseWithProgram(options) {
+            const result = parser.parseForESLint("const foo = <div />;", Object.assign({ ecmaFeatures: { jsx: true } }, options));
+            return {
+                program: result.services.program,
+                sourceFile: result.services.esTreeNodeToTSNodeMap.get(result.ast)
+            };
+        }
+
+        it("should parse with the latest target and preserve JSX by default", () => {
+            const result = parseWithProgram();
+
+            expect(result.sourceFile.languageVersion).toEqual(ts.ScriptTarget.Latest);
+            expect(result.program.getCompilerOptions().jsx).toEqual(ts.JsxEmit.Preserve);
+        });
+
+        it("should parse with the target from the given compiler options", () => {
+            const result = parseWithProgram({ compilerOptions: { target: "es5" } });
+
+            expect(result.sourceFile.languageVersion).toEqual(ts.ScriptTarget.ES5);
+            expect(result.program.getCompilerOptions().target).toEqual(ts.ScriptTarget.ES5);
+            expect(parser.parse("const foo = bar;", { compilerOptions: { target: "es5" } }).body.length).toEqual(1);
+        });
+
+        it("should create the program with the given compiler options", () => {
+            const compilerOptions = parseWithProgram({
+                compilerOptions: { jsx: "react", jsxFactory: "h", experimentalDecorators: true, noResolve: false }
+            }).program.getCompilerOptions();
+
+            expect(compilerOptions.jsx).toEqual(ts.JsxEmit.React);
+            expect(compilerOptions.jsxFactory).toEqual("h");
+            expect(compilerOptions.experimentalDecorators).toBe(true);
+            expect(compilerOptions.noResolve).toBe(true);
+        });
+
+        it("should not create the program with compiler options which only affect the output", () => {
+            const result = parseWithProgram({
+                compilerOptions: { composite: true, declaration: true, outDir: "dist", rootDir: "src", strict: true }
+            });
+            const compilerOptions = result.program.getCompilerOptions();
+
+            expect(compilerOptions.strict).toBe(true);
+            expect(compilerOptions.composite).toBeUndefined();
+            expect(compilerOptions.declaration).toBeUndefined();
+            expect(compilerOptions.outDir).toBeUndefined();
+            expect(compilerOptions.rootDir).toBeUndefined();
+            expect(result.program.getTypeChecker()).toBeDefined();
+        });
+
+        it("should read the compiler options from the given tsconfig.json file", () => {
+            const result = parseWithProgram({
+                compilerOptions: "./compilerOptions/tsconfig.json",
+                tsconfigRootDir: path.resolve(__dirname, "../fixtures")
+            });
+            const compilerOptions = result.program.getCompilerOptions();
+
+            expect(result.sourceFile.languageVersion).toEqual(ts.ScriptTarget.ES5);
+            expect(compilerOptions.jsx).toEqual(ts.JsxEmit.React);
+            expect(compilerOptions.experimentalDecorators).toBe(true);
+        });
+
+        it("should not reuse a cached SourceFile which was parsed with a different target", () => {
+            const filePath = "compiler-options-test.tsx";
+
+            parser.clearCaches();
+            const first = parseWithProgram({ filePath, compilerOptions: { target: "es5" } }).sourceFile;
+            const second = parseWithProgram({ filePath }).sourceFile;
+
+            expect(second).not.toBe(first);
+            expect(second.languageVersion).toEqual(ts.ScriptTarget.Latest);
+        });
+
+        it("should throw if the compiler options are invalid", () => {
+            expect(() => parseWithProgram({ compilerOptions: { target: "es1" } })).toThrow(/^Invalid "compilerOptions": Argument for '--target' option must be/);
+            expect(() => parseWithProgram({ compilerOptions: "./missing-tsconfig.json" })).toThrow(/Unable to read the TypeScript project config/);
+        });
+
+    });
+
+    describe("caching", () => {
+
+        const config = {
+            range: true,
+            loc: true,
+            tokens: true,
+            ecmaFeatures: {
+                jsx: true
+            },
+            filePath: "caching-test.tsx"
+        };
+
+        /**
+         * Returns the SourceFile which was used to produce the AST for the given code
+         * @param {string} code the code to parse
+         * @param {Object} options the parser options
+         * @returns {Object} the TypeScript SourceFile
+         */
+        function getSourceFile(code, options) {
+            const result = parser.parseForESLint(code, options);
+            return result.services.esTreeNodeToTSNodeMap.get(result.ast);
+        }
+
+        beforeEach(() => {
+            parser.clearCaches();
+        });
+
+        it("should reuse the SourceFile when the same file is parsed again with the same code", () => {
+            const code = "const foo = <Foo bar={1} />;";
+            expect(getSourceFile(code, config)).toBe(getSourceFile(code, config));
+        });
+
+        it("should not reuse the SourceFile when no filePath is given", () => {
+            const code = "const foo = <Foo bar={1} />;";
+            const options = Object.assign({}, config, { filePath: undefined });
+            expect(getSourceFile(code, options)).not.toBe(getSourceFile(code, options));
+        });
+
+        it("should not reuse the SourceFile after the caches have been cleared", () => {
+            const code = "const foo = <Foo bar={1} />;";
+            const sourceFile = getSourceFile(code, config);
+            parser.clearCaches();
+            expect(getSourceFile(code, config)).not.toBe(sourceFile);
+        });
+
+        it("should only keep the SourceFiles of the most recently parsed files", () => {
+            const code = "const foo = <Foo bar={1} />;";
+
+            /**
+             * Parses the given number of other files
+             * @param {number} count the number of files
+             * @returns {void}
+             */
+            function parseOtherFiles(count) {
+                for (let i = 0; i < count; i++) {
+                    parser.parseForESLint(code, Object.assign({}, config, { filePath: `caching-test-${i}.tsx` }));
+                }
+            }
+
+            const sourceFile = getSourceFile(code, config);
+            parseOtherFiles(sourceFileCache.MAX_CACHED_SOURCE_FILES - 1);
+            expect(getSourceFile(code, config)).toBe(sourceFile);
+
+            parseOtherFiles(sourceFileCache.MAX_CACHED_SOURCE_FILES);
+            expect(getSourceFile(code, config)).not.toBe(sourceFile);
+        });
+
+        it("should produce the same AST as a fresh parse when the code has changed", () => {
+            const versions = [
+                "function foo(a: string) {\n    return <Foo bar={a} />;\n}\n",
+                "function foo(a: string, b: number) {\n    return <Foo bar={a} baz={b} />;\n}\n",
+                "// comment\nfunction foo(a: string, b: number) {\n    return <Foo bar={a} baz={b}>{b}</Foo>;\n}\n",
+                "function foo(a: string, b: number) {\n    return <Foo bar={a} baz={b} />;\n}\nfoo(\"a\", 1);\n"
+            ];
+            const freshConfig = Object.assign({}, config, { filePath: undefined });
+
+            versions.forEach(code => {
+                const ast = parser.parseForESLint(code, config).ast;
+                const freshAst = parser.parseForESLint(code, freshConfig).ast;
+                expect(testUtils.getRaw(ast)).toEqual(testUtils.getRaw(freshAst));
+            });
+        });
+
+    });
+
 
 });
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Tests for the scope analysis returned by parseForESLint
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const Linter = require("eslint").Linter,
+    parser = require("../../parser");
+
+//------------------------------------------------------------------------------
+// Setup
+//------------------------------------------------------------------------------
+
+/**
+ * Analyzes the scopes of the given code
+ * @param {string} code the code to analyze
+ * @param {Object} [options] additional parser options
+ * @returns {ScopeManager} the scope manager
+ */
+function analyze(code, options) {
+    return parser.parseForESLint(code, Object.assign({ range: true, loc: true }, options)).scopeManager;
+}
+
+/**
+ * Returns the value-space variable of the given name from the scope, or its
+ * type-space variable when `type` is set
+ * @param {Scope} scope the scope
+ * @param {string} name the name of the variable
+ * @param {boolean} [type] whether to return the type-space variable
+ * @returns {Variable|undefined} the variable
+ */
+function getVariable(scope, name, type) {
+    return (type ? scope.typeVariables : scope.variables).find(variable => variable.name === name);
+}
+
+/**
+ * Lints the given code as a module with the given rules using this parser
+ * @param {string} code the code to lint
+ * @param {Object} rules the rule configuration
+ * @returns {string[]} the messages which were reported
+ */
+function lint(code, rules) {
+    const linter = new Linter();
+
+    linter.defineParser("typescript-eslint-parser", parser);
+    return linter.verify(code, {
+        parser: "typescript-eslint-parser",
+        parserOptions: { sourceType: "module" },
+        rules
+    }).map(message => message.message);
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("scope analysis", () => {
+
+    it("should declare interfaces and type aliases as types", () => {
+        const globalScope = analyze("interface Foo {} type Bar = string;").globalScope;
+
+        expect(globalScope.variables).toEqual([]);
+        expect(getVariable(globalScope, "Foo", true).defs[0].type).toBe("TypeName");
+        expect(getVariable(globalScope, "Bar", true).defs[0].type).toBe("TypeName");
+    });
+
+    it("should declare type alias declarations as types", () => {
+        const globalScope = analyze("type Foo<T> = T[]; let bar: Foo<string>;", { useTypeAliasDeclaration: true }).globalScope;
+        const foo = getVariable(globalScope, "Foo", true);
+
+        expect(getVariable(globalScope, "Foo")).toBeUndefined();
+        expect(foo.defs[0].node.type).toBe("TSTypeAliasDeclaration");
+        expect(foo.references.length).toBe(1);
+        expect(getVariable(globalScope, "T", true).references.length).toBe(1);
+    });
+
+    it("should declare enums and namespaces as values", () => {
+        const globalScope = analyze("enum Foo { A, B = A } namespace Bar {}").globalScope;
+
+        expect(getVariable(globalScope, "Foo").defs[0].type).toBe("EnumName");
+        expect(getVariable(globalScope, "Bar").defs[0].type).toBe("NamespaceName");
+        expect(globalScope.through).toEqual([]);
+        expect(globalScope.typeVariables).toEqual([]);
+    });
+
+    it("should reference imports which are only used as types", () => {
+        const moduleScope = analyze("import { Foo } from 'foo'; let bar: Foo<string>;", { sourceType: "module" }).globalScope.childScopes[0];
+        const references = getVariable(moduleScope, "Foo").references;
+
+        expect(references.length).toBe(1);
+        expect(references[0].isTypeReference).toBe(true);
+        expect(references[0].identifier.range).toEqual([36, 39]);
+    });
+
+    it("should resolve type parameters in the scope of their function or class", () => {
+        const scopeManager = analyze("function foo<T>(bar: T): T { return bar; } class Baz<U> implements Qux<U> {}");
+        const functionScope = scopeManager.globalScope.childScopes[0];
+        const classScope = scopeManager.globalScope.childScopes[1];
+
+        expect(getVariable(scopeManager.globalScope, "T", true)).toBeUndefined();
+        expect(getVariable(functionScope, "T", true).references.length).toBe(2);
+        expect(getVariable(classScope, "U", true).references.length).toBe(1);
+    });
+
+    it("should resolve type parameters of types only within the type", () => {
+        const globalScope = analyze([
+            "type Foo<T> = { [K in keyof T]: T[K] };",
+            "type Bar<T> = T extends Array<infer U> ? U : never;",
+            "let baz: T;"
+        ].join("\n")).globalScope;
+        const typeParameters = globalScope.typeVariables.filter(variable => variable.defs[0].type === "TypeParameter");
+
+        expect(typeParameters.map(variable => variable.name)).toEqual(["T", "K", "T", "U"]);
+        expect(typeParameters.map(variable => variable.references.length)).toEqual([2, 1, 1, 1]);
+    });
+
+    it("should reference values from type queries", () => {
+        const globalScope = analyze("const foo = 1; let bar: typeof foo;").globalScope;
+        const references = getVariable(globalScope, "foo").references;
+
+        expect(references.length).toBe(2);
+        expect(references[1].isTypeReference).toBeUndefined();
+    });
+
+    it("should not reference the names of properties and signature parameters", () => {
+        const globalScope = analyze([
+            "class Foo { bar: string; [baz: string]: any; }",
+            "interface Qux { quux(corge: string): void; }"
+        ].join("\n")).globalScope;
+
+        expect(globalScope.through).toEqual([]);
+    });
+
+    it("should ignore references to undeclared types", () => {
+        const globalScope = analyze("let foo: Array<Promise<string>>;").globalScope;
+
+        expect(globalScope.through).toEqual([]);
+    });
+
+    it("should declare import equals declarations", () => {
+        const moduleScope = analyze("import foo = require('foo'); export = foo;", { sourceType: "module" }).globalScope.childScopes[0];
+
+        expect(getVariable(moduleScope, "foo").defs[0].type).toBe("ImportBinding");
+        expect(getVariable(moduleScope, "foo").references.length).toBe(1);
+    });
+
+    it("should declare imports in ambient module declarations of scripts", () => {
+        const scopeManager = analyze("declare module 'foo' { import { Bar } from 'bar'; }");
+        const moduleDeclarationScope = scopeManager.globalScope.childScopes[0];
+
+        expect(moduleDeclarationScope.type).toBe("tsModule");
+        expect(getVariable(moduleDeclarationScope, "Bar").defs[0].type).toBe("ImportBinding");
+    });
+
+    it("should analyze modules which have no imports or exports as modules", () => {
+        const globalScope = analyze("var name = 1;", { sourceType: "module" }).globalScope;
+
+        expect(globalScope.childScopes[0].type).toBe("module");
+        expect(getVariable(globalScope.childScopes[0], "name")).toBeDefined();
+        expect(lint("var name = 1;", {
+            "no-implicit-globals": "error",
+            "no-redeclare": ["error", { builtinGlobals: true }]
+        })).toEqual([]);
+    });
+
+    it("should analyze code as a script when no sourceType is given", () => {
+        const globalScope = analyze("var name = 1;").globalScope;
+
+        expect(globalScope.childScopes).toEqual([]);
+        expect(getVariable(globalScope, "name")).toBeDefined();
+    });
+
+    it("should not report types with no-unused-vars and no-undef", () => {
+        const messages = lint([
+            "import { Foo, Bar } from 'foo';",
+            "enum Baz { A, B = A }",
+            "class Qux<T> implements Foo<T> {",
+            "    constructor(private readonly quux: Bar) {}",
+            "}",
+            "export const corge: Baz = new Qux<string>(Baz.A);"
+        ].join("\n"), { "no-unused-vars": "error", "no-undef": "error" });
+
+        expect(messages).toEqual([]);
+    });
+
+    it("should not report exported import equals declarations with no-unused-vars", () => {
+        const messages = lint([
+            "namespace Foo { export const bar = 1; }",
+            "export import Baz = Foo.bar;"
+        ].join("\n"), { "no-unused-vars": "error" });
+
+        expect(messages).toEqual([]);
+    });
+
+    it("should not report the names of abstract classes with no-shadow", () => {
+        const messages = lint([
+            "export abstract class Foo {",
+            "    abstract bar(): void;",
+            "    baz() { return Foo; }",
+            "}"
+        ].join("\n"), { "no-shadow": "error", "no-undef": "error" });
+
+        expect(messages).toEqual([]);
+    });
+
+    it("should still report unused imports and undefined values", () => {
+        const messages = lint([
+            "import { Foo } from 'foo';",
+            "let bar: Baz = qux;",
+            "export { bar };"
+        ].join("\n"), { "no-unused-vars": "error", "no-undef": "error" });
+
+        expect(messages).toEqual([
+            "'Foo' is defined but never used.",
+            "'qux' is not defined."
+        ]);
+    });
+});
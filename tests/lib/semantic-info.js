@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Tests for type-aware parsing via the "project" option
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const fs = require("fs"),
+    path = require("path"),
+    shelljs = require("shelljs"),
+    ts = require("typescript"),
+    parser = require("../../parser");
+
+//------------------------------------------------------------------------------
+// Setup
+//------------------------------------------------------------------------------
+
+const PROJECT_DIR = path.resolve(__dirname, "../fixtures/simpleProject");
+const FILE_PATH = path.join(PROJECT_DIR, "file.ts");
+
+/**
+ * Creates the parser options for parsing a file within the simpleProject fixture
+ * @param {Object} overrides options to add to the defaults
+ * @returns {Object} the parser options
+ */
+function createOptions(overrides) {
+    return Object.assign({
+        range: true,
+        loc: true,
+        tokens: true,
+        filePath: FILE_PATH,
+        project: "./tsconfig.json",
+        tsconfigRootDir: PROJECT_DIR
+    }, overrides);
+}
+
+/**
+ * Returns the TypeScript type of the given ESTree node as a string
+ * @param {Object} services the parser services
+ * @param {ESTreeNode} node the ESTree node
+ * @returns {string} the type as a string
+ */
+function getTypeOf(services, node) {
+    const checker = services.program.getTypeChecker();
+    const tsNode = services.esTreeNodeToTSNodeMap.get(node);
+    return checker.typeToString(checker.getTypeAtLocation(tsNode));
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("semantic info", () => {
+
+    const code = shelljs.cat(FILE_PATH).toString();
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("should use the program created from the given project", () => {
+        const services = parser.parseForESLint(code, createOptions()).services;
+        const fileNames = services.program.getSourceFiles().map(sourceFile => path.resolve(sourceFile.fileName));
+
+        expect(fileNames).toContain(FILE_PATH);
+        expect(fileNames).toContain(path.join(PROJECT_DIR, "imported.ts"));
+        expect(services.program.getCompilerOptions().strict).toBe(true);
+    });
+
+    it("should provide type information across files", () => {
+        const result = parser.parseForESLint(code, createOptions());
+        const callExpression = result.ast.body[1].declaration.declarations[0].init;
+
+        expect(getTypeOf(result.services, callExpression)).toEqual("Promise<string>");
+    });
+
+    it("should use the given code instead of the contents of the file on disk", () => {
+        const result = parser.parseForESLint("export const value = 42;", createOptions());
+        const identifier = result.ast.body[0].declaration.declarations[0].id;
+
+        expect(getTypeOf(result.services, identifier)).toEqual("42");
+    });
+
+    it("should reuse unchanged SourceFiles from the previous program", () => {
+        const importedFilePath = path.join(PROJECT_DIR, "imported.ts");
+        const firstProgram = parser.parseForESLint(code, createOptions()).services.program;
+        const secondProgram = parser.parseForESLint(`${code}\nexport const other = 1;\n`, createOptions()).services.program;
+
+        expect(secondProgram).not.toBe(firstProgram);
+        expect(secondProgram.getSourceFile(importedFilePath)).toBe(firstProgram.getSourceFile(importedFilePath));
+        expect(secondProgram.getSourceFile(FILE_PATH).text).toContain("export const other = 1;");
+    });
+
+    it("should not read the project or its files again when they have not changed", () => {
+        parser.clearCaches();
+        parser.parseForESLint(code, createOptions());
+
+        const readFile = jest.spyOn(ts.sys, "readFile");
+        const readDirectory = jest.spyOn(ts.sys, "readDirectory");
+        parser.parseForESLint(code, createOptions());
+        parser.parseForESLint(`${code}\nexport const other = 1;\n`, createOptions());
+
+        expect(readFile).not.toHaveBeenCalled();
+        expect(readDirectory).not.toHaveBeenCalled();
+    });
+
+    it("should read the project and its files again when they have changed", () => {
+        const importedFilePath = path.join(PROJECT_DIR, "imported.ts");
+        parser.clearCaches();
+        parser.parseForESLint(code, createOptions());
+
+        const getModifiedTime = ts.sys.getModifiedTime;
+        jest.spyOn(ts.sys, "getModifiedTime").mockImplementation(fileName => new Date(getModifiedTime(fileName).getTime() + 1000));
+        const readFile = jest.spyOn(ts.sys, "readFile");
+        const readDirectory = jest.spyOn(ts.sys, "readDirectory");
+        parser.parseForESLint(code, createOptions());
+
+        expect(readFile).toHaveBeenCalledWith(path.join(PROJECT_DIR, "tsconfig.json"));
+        expect(readFile.mock.calls.map(call => path.resolve(call[0]))).toContain(importedFilePath);
+        expect(readDirectory).toHaveBeenCalled();
+    });
+
+    it("should apply the given compiler options over the ones in the project", () => {
+        const options = createOptions({ compilerOptions: { strict: false, experimentalDecorators: true } });
+        const compilerOptions = parser.parseForESLint(code, options).services.program.getCompilerOptions();
+
+        expect(compilerOptions.strict).toBe(false);
+        expect(compilerOptions.experimentalDecorators).toBe(true);
+        expect(compilerOptions.target).toEqual(ts.ScriptTarget.ES2015);
+    });
+
+    it("should accept an array of projects", () => {
+        const options = createOptions({ project: ["./tsconfig.json"] });
+        const services = parser.parseForESLint(code, options).services;
+
+        expect(services.program.getSourceFile(FILE_PATH)).toBeDefined();
+    });
+
+    it("should only create programs for the projects which include the file", () => {
+        const createProgram = jest.spyOn(ts, "createProgram");
+        const options = createOptions({ project: ["./tsconfig.imported.json", "./tsconfig.json"] });
+        const services = parser.parseForESLint(code, options).services;
+
+        expect(createProgram).toHaveBeenCalledTimes(1);
+        expect(services.program.getRootFileNames().map(fileName => path.resolve(fileName))).toContain(FILE_PATH);
+    });
+
+    it("should find files which were created after the project was read", () => {
+        const newFilePath = path.join(PROJECT_DIR, "new-file.ts");
+        const newFileCode = "export const value = 1;";
+
+        parser.clearCaches();
+        parser.parseForESLint(code, createOptions());
+
+        try {
+            fs.writeFileSync(newFilePath, newFileCode);
+            const services = parser.parseForESLint(newFileCode, createOptions({ filePath: newFilePath })).services;
+
+            expect(services.program.getSourceFile(newFilePath)).toBeDefined();
+        } finally {
+            fs.unlinkSync(newFilePath);
+        }
+    });
+
+    it("should throw if the file is not included in any of the projects", () => {
+        const options = createOptions({ filePath: path.join(PROJECT_DIR, "not-included.tsx") });
+
+        expect(() => parser.parseForESLint(code, options)).toThrow(/is not included in any of the configured projects/);
+    });
+
+    it("should throw if no filePath is given", () => {
+        const options = createOptions({ filePath: undefined });
+
+        expect(() => parser.parseForESLint(code, options)).toThrow(/"filePath" option is required/);
+    });
+
+    it("should throw if the project cannot be read", () => {
+        const options = createOptions({ project: "./missing-tsconfig.json" });
+
+        expect(() => parser.parseForESLint(code, options)).toThrow(/Unable to read the TypeScript project config/);
+    });
+
+});
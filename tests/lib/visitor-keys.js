@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests for the visitor keys returned by parseForESLint
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const shelljs = require("shelljs"),
+    parser = require("../../parser"),
+    AST_NODE_TYPES = require("../../lib/ast-node-types"),
+    visitorKeys = require("../../lib/visitor-keys");
+
+//------------------------------------------------------------------------------
+// Setup
+//------------------------------------------------------------------------------
+
+const FIXTURES_DIRS = [
+    "./tests/fixtures/typescript",
+    "./tests/fixtures/tsx",
+    "./tests/fixtures/declaration-files"
+];
+
+const testFiles = FIXTURES_DIRS
+    .map(fixturesDir => shelljs.find(fixturesDir).filter(filename => /\.src\.(?:d\.)?tsx?$/.test(filename)))
+    .reduce((allFiles, files) => allFiles.concat(files), []);
+
+/**
+ * Checks whether a value is an ESTree node
+ * @param {*} value the value
+ * @returns {boolean} true if the value is a node
+ */
+function isNode(value) {
+    return value !== null && typeof value === "object" && typeof value.type === "string";
+}
+
+/**
+ * Returns the properties of each node in the AST which contain child nodes,
+ * but are missing from the visitor keys of the node
+ * @param {ESTreeNode} node the root of the AST
+ * @returns {string[]} the missing keys, as "<type>.<key>"
+ */
+function getMissingKeys(node) {
+    const keys = visitorKeys[node.type] || [];
+
+    return Object.keys(node)
+        .filter(key => key !== "parent" && key !== "tokens" && key !== "comments")
+        .reduce((missingKeys, key) => {
+            const children = [].concat(node[key]).filter(isNode);
+
+            if (children.length && keys.indexOf(key) === -1) {
+                missingKeys.push(`${node.type}.${key}`);
+            }
+            return children.reduce((allMissingKeys, child) => allMissingKeys.concat(getMissingKeys(child)), missingKeys);
+        }, []);
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("visitor keys", () => {
+
+    it("should be returned from parseForESLint", () => {
+        expect(parser.parseForESLint("const foo = 1;").visitorKeys).toBe(visitorKeys);
+    });
+
+    it("should have keys for every node type", () => {
+        const nodeTypes = Object.keys(AST_NODE_TYPES).concat([
+            "TSEmptyBodyDeclareFunction",
+            "TSEmptyBodyFunctionDeclaration",
+            "TSEmptyBodyFunctionExpression"
+        ]);
+
+        expect(nodeTypes.filter(nodeType => !Array.isArray(visitorKeys[nodeType]))).toEqual([]);
+    });
+
+    it("should list type annotations, type parameters and decorators in source order", () => {
+        expect(visitorKeys.FunctionDeclaration).toEqual(["id", "typeParameters", "params", "returnType", "body"]);
+        expect(visitorKeys.ClassProperty).toEqual(["decorators", "key", "typeAnnotation", "value"]);
+        expect(visitorKeys.Identifier).toEqual(["decorators", "typeAnnotation"]);
+    });
+
+    testFiles.forEach(filename => {
+        it(`should reach every node in ${filename}`, () => {
+            let ast;
+
+            try {
+                ast = parser.parseForESLint(shelljs.cat(filename), {
+                    ecmaFeatures: { jsx: /x$/.test(filename) },
+                    declarationFile: /\.d\.ts$/.test(filename)
+                }).ast;
+            } catch (error) {
+
+                // Fixtures with syntax errors are only used for their error snapshots
+                return;
+            }
+
+            expect(getMissingKeys(ast)).toEqual([]);
+        });
+    });
+});
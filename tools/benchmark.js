@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Compares the throughput of purely syntactic parsing via parse(), which only
+ * creates a SourceFile, with parsing which also creates a program and the parser services.
+ * @copyright jQuery Foundation and other contributors, https://jquery.org/
+ * MIT License
+ */
+
+"use strict";
+
+/* eslint no-console: 0 */
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const path = require("path"),
+    shelljs = require("shelljs"),
+    parser = require("../parser"),
+    analyzeScope = require("../lib/analyze-scope");
+
+//------------------------------------------------------------------------------
+// Setup
+//------------------------------------------------------------------------------
+
+const FIXTURES_DIR = path.resolve(__dirname, "../tests/fixtures");
+const ITERATIONS = Number(process.argv[2]) || 5;
+
+/**
+ * Returns the parser options to use for the given fixture
+ * @param {string} filename the path to the fixture
+ * @returns {Object} the parser options
+ */
+function getOptions(filename) {
+    return {
+        range: true,
+        loc: true,
+        tokens: true,
+        comment: true,
+        loggerFn: false,
+        ecmaFeatures: {
+            jsx: /\.(?:js|tsx)$/.test(filename)
+        }
+    };
+}
+
+/**
+ * Fixtures which are expected to fail to parse are excluded, so that both
+ * parsing methods do the same amount of work
+ */
+const fixtures = shelljs.find(FIXTURES_DIR)
+    .filter(filename => /\.src\.(?:js|ts|tsx)$/.test(filename))
+    .map(filename => ({
+        code: shelljs.cat(filename).toString(),
+        options: getOptions(filename)
+    }))
+    .filter(fixture => {
+        try {
+            parser.parse(fixture.code, fixture.options);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    });
+
+//------------------------------------------------------------------------------
+// Benchmark
+//------------------------------------------------------------------------------
+
+/**
+ * Calls the given function for every fixture the configured number of times
+ * @param {Function} fn called with each fixture
+ * @returns {number} the time it took in seconds
+ */
+function measure(fn) {
+
+    // warm up
+    fixtures.forEach(fn);
+
+    const start = process.hrtime();
+    for (let i = 0; i < ITERATIONS; i++) {
+        fixtures.forEach(fn);
+    }
+    const elapsed = process.hrtime(start);
+
+    return elapsed[0] + elapsed[1] / 1e9;
+}
+
+/**
+ * Returns the number of files which are parsed per second when parsing every
+ * fixture the configured number of times takes the given time
+ * @param {number} seconds the time in seconds
+ * @returns {number} the number of files per second
+ */
+function getThroughput(seconds) {
+    return (fixtures.length * ITERATIONS) / seconds;
+}
+
+console.log(`Parsing ${fixtures.length} fixtures ${ITERATIONS} times with each method...`);
+
+/**
+ * parseForESLint() also analyzes the scopes of the AST, which does not depend
+ * on how the AST was created. It is measured separately, on ASTs which are
+ * created up front, and left out of the time it takes to create the program
+ * and the parser services.
+ */
+fixtures.forEach(fixture => {
+    fixture.ast = parser.parseForESLint(fixture.code, fixture.options).ast;
+});
+
+const syntacticSeconds = measure(fixture => parser.parse(fixture.code, fixture.options));
+const programSeconds = measure(fixture => parser.parseForESLint(fixture.code, fixture.options)) -
+    measure(fixture => analyzeScope(fixture.ast, fixture.options));
+
+const syntacticThroughput = getThroughput(syntacticSeconds);
+const programThroughput = getThroughput(programSeconds);
+
+console.log(`without a program (parse())                                ${syntacticThroughput.toFixed(0)} files/sec`);
+console.log(`with a program and services (parseForESLint(), no scopes)  ${programThroughput.toFixed(0)} files/sec`);
+console.log(`Parsing without a program is ${(syntacticThroughput / programThroughput).toFixed(2)}x faster`);